@@ -0,0 +1,342 @@
+// <videovoice-gallery> — shows a campaign's approved testimonials on any page,
+// with or without a framework:
+//
+//   <script src="https://videos.example.com/widget.js" defer></script>
+//   <videovoice-gallery campaign="careers"></videovoice-gallery>
+//
+// Attributes (all optional except campaign):
+//   campaign   campaign slug
+//   layout     "grid" (default) or "carousel"
+//   columns    tiles per row on wide containers (default 3)
+//   limit      how many testimonials to show (default 12, at most 50)
+//   captions   show each testimonial's caption under it
+//   theme      "light" (default) or "dark"
+//   accent     play button and focus colour (default: the organization's primaryColor)
+//   radius     tile corner radius in px (default 12)
+//   gap        space between tiles in px (default 16)
+//   api        VideoVoice server origin (default: wherever this script came from)
+//
+// Nothing is fetched until the gallery is about to scroll into view, posters
+// load lazily and a video only starts downloading when it is played. The
+// element fires `videovoice:load` with the response once it has rendered.
+(() => {
+  if (customElements.get("videovoice-gallery")) return;
+
+  const SCRIPT_ORIGIN = document.currentScript?.src
+    ? new URL(document.currentScript.src).origin
+    : location.origin;
+
+  const STYLE = `
+    :host {
+      --vv-accent: #6c63ff;
+      --vv-radius: 12px;
+      --vv-gap: 16px;
+      --vv-columns: 3;
+      --vv-text: #1a1a1a;
+      --vv-muted: #666;
+      --vv-tile: #e9e9ee;
+      display: block;
+      container-type: inline-size;
+      font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+      color: var(--vv-text);
+    }
+    :host([theme="dark"]) {
+      --vv-text: #f5f5f7;
+      --vv-muted: #a0a0a8;
+      --vv-tile: #1c1c22;
+    }
+    :host([hidden]) { display: none; }
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(var(--vv-columns), minmax(0, 1fr));
+      gap: var(--vv-gap);
+    }
+    .carousel { position: relative; }
+    .track {
+      display: grid;
+      grid-auto-flow: column;
+      grid-auto-columns: calc((100% - (var(--vv-columns) - 1) * var(--vv-gap)) / var(--vv-columns));
+      gap: var(--vv-gap);
+      overflow-x: auto;
+      scroll-snap-type: x mandatory;
+      scrollbar-width: none;
+    }
+    .track::-webkit-scrollbar { display: none; }
+    .track > figure { scroll-snap-align: start; }
+    @container (max-width: 720px) {
+      .grid { grid-template-columns: repeat(min(var(--vv-columns), 2), minmax(0, 1fr)); }
+      .track { grid-auto-columns: calc((100% - var(--vv-gap)) / 2); }
+    }
+    @container (max-width: 440px) {
+      .grid { grid-template-columns: minmax(0, 1fr); }
+      .track { grid-auto-columns: 85%; }
+    }
+    figure { margin: 0; }
+    .frame {
+      position: relative;
+      aspect-ratio: 16 / 9;
+      border-radius: var(--vv-radius);
+      overflow: hidden;
+      background: var(--vv-tile);
+    }
+    .frame button {
+      all: unset;
+      position: absolute;
+      inset: 0;
+      cursor: pointer;
+    }
+    .frame button:focus-visible { outline: 3px solid var(--vv-accent); outline-offset: -3px; }
+    .frame img, .frame video {
+      width: 100%;
+      height: 100%;
+      display: block;
+    }
+    .frame img { object-fit: cover; }
+    .frame video { object-fit: contain; background: #000; }
+    .play {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      width: 56px;
+      height: 56px;
+      margin: -28px 0 0 -28px;
+      border-radius: 50%;
+      background: var(--vv-accent);
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+      transition: transform 0.15s;
+    }
+    .play::after {
+      content: "";
+      position: absolute;
+      left: 22px;
+      top: 17px;
+      border-style: solid;
+      border-width: 11px 0 11px 18px;
+      border-color: transparent transparent transparent #fff;
+    }
+    .frame button:hover .play { transform: scale(1.08); }
+    .duration {
+      position: absolute;
+      right: 8px;
+      bottom: 8px;
+      padding: 2px 6px;
+      border-radius: 4px;
+      background: rgba(0, 0, 0, 0.65);
+      color: #fff;
+      font-size: 12px;
+      font-variant-numeric: tabular-nums;
+    }
+    figcaption {
+      margin-top: 8px;
+      font-size: 14px;
+      line-height: 1.4;
+    }
+    .nav {
+      position: absolute;
+      top: 50%;
+      width: 40px;
+      height: 40px;
+      margin-top: -20px;
+      border: none;
+      border-radius: 50%;
+      background: rgba(0, 0, 0, 0.6);
+      color: #fff;
+      font-size: 20px;
+      cursor: pointer;
+    }
+    .nav:focus-visible { outline: 3px solid var(--vv-accent); }
+    .nav:disabled { opacity: 0; pointer-events: none; }
+    .prev { left: 8px; }
+    .next { right: 8px; }
+    .message { color: var(--vv-muted); font-size: 14px; }
+  `;
+
+  function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  }
+
+  function el(tag, props = {}, children = []) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(props)) {
+      if (key === "role" || key.startsWith("aria-")) node.setAttribute(key, value);
+      else node[key] = value;
+    }
+    node.append(...children);
+    return node;
+  }
+
+  function intAttribute(element, name, fallback, max) {
+    const value = parseInt(element.getAttribute(name), 10);
+    return Number.isFinite(value) && value > 0 ? Math.min(value, max) : fallback;
+  }
+
+  class VideoVoiceGallery extends HTMLElement {
+    static observedAttributes = [
+      "campaign", "layout", "columns", "limit", "captions", "theme", "accent", "radius", "gap", "api",
+    ];
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      this.data = null;
+      this.error = null;
+      this.observer = null;
+      this.controller = null;
+    }
+
+    connectedCallback() {
+      this.render();
+      if (!this.data) this.whenVisible();
+    }
+
+    disconnectedCallback() {
+      this.observer?.disconnect();
+      this.controller?.abort();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.isConnected || oldValue === newValue) return;
+      if (name === "campaign" || name === "limit" || name === "api") {
+        this.data = null;
+        this.error = null;
+        this.render();
+        this.whenVisible();
+      } else {
+        this.render();
+      }
+    }
+
+    whenVisible() {
+      this.observer?.disconnect();
+      if (!("IntersectionObserver" in window)) return this.load();
+      this.observer = new IntersectionObserver((entries) => {
+        if (!entries.some((e) => e.isIntersecting)) return;
+        this.observer.disconnect();
+        this.load();
+      }, { rootMargin: "200px" });
+      this.observer.observe(this);
+    }
+
+    async load() {
+      const campaign = this.getAttribute("campaign");
+      if (!campaign) {
+        this.error = "The gallery needs a campaign attribute.";
+        return this.render();
+      }
+      const api = (this.getAttribute("api") || SCRIPT_ORIGIN).replace(/\/+$/, "");
+      const limit = intAttribute(this, "limit", 12, 50);
+
+      this.controller?.abort();
+      this.controller = new AbortController();
+      try {
+        const res = await fetch(
+          `${api}/api/public/campaigns/${encodeURIComponent(campaign)}/testimonials?pageSize=${limit}`,
+          { signal: this.controller.signal },
+        );
+        if (!res.ok) throw new Error(res.status === 404 ? "Campaign not found." : `Request failed (${res.status}).`);
+        this.data = await res.json();
+        this.error = null;
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        this.data = null;
+        this.error = `Couldn't load testimonials. ${err.message}`;
+      }
+      this.render();
+      if (this.data) this.dispatchEvent(new CustomEvent("videovoice:load", { detail: this.data }));
+    }
+
+    applyTheme() {
+      const brandColor = this.data?.campaign.organization?.primaryColor;
+      const vars = {
+        "--vv-accent": this.getAttribute("accent") || brandColor,
+        "--vv-columns": this.hasAttribute("columns") ? intAttribute(this, "columns", 3, 6) : null,
+        "--vv-radius": this.hasAttribute("radius") ? `${parseFloat(this.getAttribute("radius")) || 0}px` : null,
+        "--vv-gap": this.hasAttribute("gap") ? `${parseFloat(this.getAttribute("gap")) || 0}px` : null,
+      };
+      for (const [name, value] of Object.entries(vars)) {
+        if (value) this.style.setProperty(name, String(value));
+        else this.style.removeProperty(name);
+      }
+    }
+
+    render() {
+      this.applyTheme();
+      const root = this.shadowRoot;
+      root.replaceChildren(el("style", { textContent: STYLE }));
+
+      if (this.error) {
+        root.append(el("p", { className: "message", textContent: this.error }));
+        return;
+      }
+      if (!this.data) return;
+      if (!this.data.items.length) {
+        root.append(el("p", { className: "message", textContent: "No testimonials yet." }));
+        return;
+      }
+
+      const tiles = this.data.items.map((item) => this.tile(item));
+      if (this.getAttribute("layout") === "carousel") {
+        root.append(this.carousel(tiles));
+      } else {
+        root.append(el("div", { className: "grid", role: "list" }, tiles));
+      }
+    }
+
+    tile(item) {
+      const label = `Play testimonial${item.duration ? ` (${formatDuration(item.duration)})` : ""}`;
+      const children = [el("span", { className: "play" })];
+      if (item.posterUrl) {
+        children.unshift(el("img", { src: item.posterUrl, alt: "", loading: "lazy", decoding: "async" }));
+      }
+      if (item.duration) {
+        children.push(el("span", { className: "duration", textContent: formatDuration(item.duration) }));
+      }
+      const button = el("button", { type: "button", "aria-label": item.caption ? `${label}: ${item.caption}` : label }, children);
+      const frame = el("div", { className: "frame" }, [button]);
+      button.addEventListener("click", () => this.play(frame, item));
+
+      const figure = el("figure", { role: "listitem" }, [frame]);
+      if (this.hasAttribute("captions") && item.caption) {
+        figure.append(el("figcaption", { textContent: item.caption }));
+      }
+      return figure;
+    }
+
+    // Swaps the poster for a player, pausing whatever else was playing.
+    play(frame, item) {
+      for (const video of this.shadowRoot.querySelectorAll("video")) video.pause();
+      const video = el("video", {
+        src: item.videoUrl,
+        poster: item.posterUrl || "",
+        controls: true,
+        autoplay: true,
+        playsInline: true,
+      });
+      video.addEventListener("play", () => {
+        for (const other of this.shadowRoot.querySelectorAll("video")) {
+          if (other !== video) other.pause();
+        }
+      });
+      frame.replaceChildren(video);
+      video.focus();
+    }
+
+    carousel(tiles) {
+      const track = el("div", { className: "track", role: "list", tabIndex: 0 }, tiles);
+      const prev = el("button", { className: "nav prev", type: "button", "aria-label": "Previous", textContent: "‹" });
+      const next = el("button", { className: "nav next", type: "button", "aria-label": "Next", textContent: "›" });
+      const update = () => {
+        prev.disabled = track.scrollLeft <= 1;
+        next.disabled = track.scrollLeft + track.clientWidth >= track.scrollWidth - 1;
+      };
+      prev.addEventListener("click", () => track.scrollBy({ left: -track.clientWidth, behavior: "smooth" }));
+      next.addEventListener("click", () => track.scrollBy({ left: track.clientWidth, behavior: "smooth" }));
+      track.addEventListener("scroll", update, { passive: true });
+      requestAnimationFrame(update);
+      return el("div", { className: "carousel" }, [track, prev, next]);
+    }
+  }
+
+  customElements.define("videovoice-gallery", VideoVoiceGallery);
+})();
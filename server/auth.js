@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import {
+  DEFAULT_ORGANIZATION_ID, getOrganization, getOrganizationBySlug, organizationForKey,
+} from './organizations.js';
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Guards reviewer/admin endpoints, sent as `Authorization: Bearer <key>`, and
+// sets req.organization for the handlers to scope by. An organization's API
+// key acts for that organization. The deployment-wide ADMIN_API_KEY acts for
+// the one named by the X-Organization header (id or slug), else the default
+// one. Without ADMIN_API_KEY only organization keys are accepted.
+export function requireAdmin(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const organization = token && organizationForKey(token);
+  if (organization) {
+    req.organization = organization;
+    req.superAdmin = false;
+    return next();
+  }
+
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) {
+    return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_API_KEY or use an organization API key.' });
+  }
+  if (!token || !safeEqual(token, key)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const requested = req.get('X-Organization');
+  req.organization = requested
+    ? getOrganization(requested) ?? getOrganizationBySlug(requested)
+    : getOrganization(DEFAULT_ORGANIZATION_ID);
+  if (!req.organization) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+  req.superAdmin = true;
+  next();
+}
+
+// For deployment-wide endpoints: only ADMIN_API_KEY will do.
+export function requireSuperAdmin(req, res, next) {
+  requireAdmin(req, res, () => {
+    if (!req.superAdmin) {
+      return res.status(403).json({ error: 'This endpoint needs ADMIN_API_KEY' });
+    }
+    next();
+  });
+}
@@ -0,0 +1,390 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import db from './db.js';
+import { HttpError } from './shared.js';
+import { getTestimonial, toJson, originalKey } from './testimonials.js';
+import { registerJobHandler, enqueueJob, jobJson } from './jobs.js';
+import { renditionKey, saveRendition, renditionJson } from './renditions.js';
+import storage, { putFile, localCopy, prefixedKey, incomingDir, workDir } from './storage/index.js';
+import { validateVideo, ProbeError } from './probe.js';
+import { getOrganization } from './organizations.js';
+import { runFfmpeg } from './ffmpeg.js';
+import { emitEvent } from './webhooks.js';
+
+// Branded renders of approved testimonials: the organization's intro and
+// outro clips around the video, its watermark in a corner, and a lower third
+// with the speaker's name and title. Each organization uploads its assets
+// under /api/brand-assets; POST /api/testimonials/:id/brand queues a render,
+// stored as the `branded` rendition.
+
+const ASSET_KINDS = ['intro', 'outro', 'watermark'];
+const MAX_ASSET_SIZE = 50 * 1024 * 1024;
+const IMAGE_TYPES = { 'image/png': '.png', 'image/jpeg': '.jpg' };
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const MAX_TEXT_LENGTH = 80;
+const FPS = 30;
+// drawtext needs a font; without RENDER_FONT fontconfig picks a sans face.
+const FONT = process.env.RENDER_FONT || null;
+const DEFAULT_ACCENT = '#c2185b';
+
+// ─── Assets ───────────────────────────────────────────────────
+
+function assetJson(row) {
+  return {
+    kind: row.kind,
+    mimeType: row.mime_type,
+    size: row.size,
+    width: row.width,
+    height: row.height,
+    duration: row.duration,
+    hasAudio: row.has_audio === null ? null : Boolean(row.has_audio),
+    createdAt: row.created_at,
+  };
+}
+
+export function brandAssetKey(row) {
+  return prefixedKey(row.storage_prefix, `brand/${row.filename}`);
+}
+
+function getAsset(organizationId, kind) {
+  return db.prepare('SELECT * FROM brand_assets WHERE organization_id = ? AND kind = ?').get(organizationId, kind);
+}
+
+function listAssets(organizationId) {
+  return db.prepare('SELECT * FROM brand_assets WHERE organization_id = ? ORDER BY kind').all(organizationId);
+}
+
+// Only PNG and JPEG watermarks; checked by signature, not by the header alone.
+function imageType(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const magic = Buffer.alloc(8);
+    fs.readSync(fd, magic, 0, 8, 0);
+    if (magic.equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (magic[0] === 0xff && magic[1] === 0xd8 && magic[2] === 0xff) return 'image/jpeg';
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Streams the request body into `file`, refusing more than MAX_ASSET_SIZE.
+async function receiveBody(req, file) {
+  let received = 0;
+  const guard = new Transform({
+    transform(chunk, encoding, cb) {
+      received += chunk.length;
+      if (received > MAX_ASSET_SIZE) {
+        cb(new HttpError(413, `Brand assets can be at most ${MAX_ASSET_SIZE / 1024 / 1024} MB`));
+      } else {
+        cb(null, chunk);
+      }
+    },
+  });
+  await pipeline(req, guard, fs.createWriteStream(file));
+  return received;
+}
+
+// Checks the uploaded `file` and describes it for the brand_assets row.
+async function inspectAsset(kind, file) {
+  if (kind === 'watermark') {
+    const mimeType = imageType(file);
+    if (!mimeType) throw new HttpError(422, 'The watermark must be a PNG or JPEG image', { code: 'unsupported_image' });
+    return { mimeType, ext: IMAGE_TYPES[mimeType] };
+  }
+  let info;
+  try {
+    info = await validateVideo(file);
+  } catch (err) {
+    if (err instanceof ProbeError) throw new HttpError(422, err.message, { code: err.reason });
+    throw err;
+  }
+  return {
+    mimeType: info.mimeType,
+    ext: info.container === 'mp4' || info.container === 'mov' ? '.mp4' : '.webm',
+    width: info.width,
+    height: info.height,
+    duration: info.duration,
+    hasAudio: info.tracks.some((t) => t.type === 'audio'),
+  };
+}
+
+// Mounted at /api/brand-assets behind requireAdmin
+export const assetsRouter = express.Router();
+
+assetsRouter.param('kind', (req, res, next, kind) => {
+  if (!ASSET_KINDS.includes(kind)) {
+    return res.status(404).json({ error: `Brand assets are one of: ${ASSET_KINDS.join(', ')}` });
+  }
+  next();
+});
+
+assetsRouter.get('/', (req, res) => {
+  res.json({ items: listAssets(req.organization.id).map(assetJson) });
+});
+
+// The body is the file itself: a PNG or JPEG for the watermark, a WebM or MP4
+// clip for the intro and outro. Uploading again replaces the asset.
+assetsRouter.put('/:kind', async (req, res) => {
+  const { kind } = req.params;
+  const type = (req.get('Content-Type') || '').split(';')[0].trim();
+  const expected = kind === 'watermark' ? type in IMAGE_TYPES : type.startsWith('video/');
+  if (!expected) {
+    throw new HttpError(415, kind === 'watermark'
+      ? 'Content-Type must be image/png or image/jpeg'
+      : 'Content-Type must be a video type');
+  }
+
+  const scratch = path.join(incomingDir, `brand-${crypto.randomUUID()}`);
+  try {
+    const size = await receiveBody(req, scratch);
+    const info = await inspectAsset(kind, scratch);
+    const organization = req.organization;
+    const row = {
+      organization_id: organization.id,
+      kind,
+      filename: `${kind}-${Date.now()}${info.ext}`,
+      storage_prefix: organization.storage_prefix,
+      mime_type: info.mimeType,
+      size,
+      width: info.width ?? null,
+      height: info.height ?? null,
+      duration: info.duration ?? null,
+      has_audio: info.hasAudio === undefined ? null : Number(info.hasAudio),
+      created_at: new Date().toISOString(),
+    };
+    await putFile(brandAssetKey(row), scratch, { contentType: row.mime_type });
+
+    const previous = getAsset(organization.id, kind);
+    db.prepare(`
+      INSERT INTO brand_assets (organization_id, kind, filename, storage_prefix, mime_type, size, width, height, duration,
+        has_audio, created_at)
+      VALUES (@organization_id, @kind, @filename, @storage_prefix, @mime_type, @size, @width, @height, @duration,
+        @has_audio, @created_at)
+      ON CONFLICT (organization_id, kind) DO UPDATE SET
+        filename = excluded.filename, storage_prefix = excluded.storage_prefix, mime_type = excluded.mime_type,
+        size = excluded.size, width = excluded.width, height = excluded.height, duration = excluded.duration,
+        has_audio = excluded.has_audio, created_at = excluded.created_at
+    `).run(row);
+    if (previous) await storage.delete(brandAssetKey(previous));
+    res.status(previous ? 200 : 201).json(assetJson(getAsset(organization.id, kind)));
+  } finally {
+    fs.rmSync(scratch, { force: true });
+  }
+});
+
+assetsRouter.delete('/:kind', async (req, res) => {
+  const row = getAsset(req.organization.id, req.params.kind);
+  if (!row) return res.status(404).json({ error: 'Brand asset not found' });
+  db.prepare('DELETE FROM brand_assets WHERE organization_id = ? AND kind = ?').run(row.organization_id, row.kind);
+  await storage.delete(brandAssetKey(row));
+  res.status(204).end();
+});
+
+// ─── Render ───────────────────────────────────────────────────
+
+function even(n) {
+  return Math.max(2, Math.round(n / 2) * 2);
+}
+
+// Quotes a value inside a filter option, e.g. a file path.
+function filterValue(value) {
+  return `'${String(value).replace(/\\/g, '/').replace(/'/g, "'\\''")}'`;
+}
+
+function ffmpegColor(hex) {
+  return `0x${hex.slice(1)}`;
+}
+
+// Scales and pads input `index` to the output frame, labelled `[label]`.
+function fitVideo(index, width, height, label) {
+  return `[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+    + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FPS},format=yuv420p[${label}]`;
+}
+
+// Input `index`'s audio as 48 kHz stereo, or silence for clips without any.
+function fitAudio(index, hasAudio, duration, label) {
+  return hasAudio
+    ? `[${index}:a]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[${label}]`
+    : `anullsrc=r=48000:cl=stereo,atrim=duration=${duration}[${label}]`;
+}
+
+// Name and title in a box along the bottom left, from half a second in for
+// up to seven seconds. Text goes through files, taken literally, so it needs
+// no escaping.
+function lowerThird({ name, title }, { width, height, duration, accent, dir }) {
+  const boxY = Math.round(height * 0.7);
+  const boxH = Math.round(height * (title ? 0.17 : 0.12));
+  const barW = Math.max(4, Math.round(width * 0.008));
+  const nameSize = Math.round(height * 0.055);
+  const titleSize = Math.round(height * 0.036);
+  const textX = barW + Math.round(width * 0.03);
+  const nameY = title ? boxY + Math.round(boxH * 0.16) : boxY + Math.round((boxH - nameSize) / 2);
+  const end = duration > 1.5 ? Math.min(duration, 7) : duration;
+  const enable = `enable='between(t,${duration > 1.5 ? 0.5 : 0},${end})'`;
+  const font = FONT ? `fontfile=${filterValue(FONT)}` : 'font=Sans';
+
+  const text = (value, label, size, y) => {
+    const file = path.join(dir, `${label}.txt`);
+    fs.writeFileSync(file, value);
+    return `drawtext=${font}:textfile=${filterValue(file)}:expansion=none:fontsize=${size}:fontcolor=white:x=${textX}:y=${y}:${enable}`;
+  };
+  const filters = [
+    `drawbox=x=0:y=${boxY}:w=${Math.round(width * 0.62)}:h=${boxH}:color=black@0.6:t=fill:${enable}`,
+    `drawbox=x=0:y=${boxY}:w=${barW}:h=${boxH}:color=${ffmpegColor(accent)}:t=fill:${enable}`,
+    text(name, 'name', nameSize, nameY),
+  ];
+  if (title) filters.push(text(title, 'title', titleSize, nameY + nameSize + Math.round(height * 0.015)));
+  return filters.join(',');
+}
+
+// Renders into the scratch `dir` and stores the result as a rendition.
+async function render(testimonial, options, dir, setProgress) {
+  const organization = getOrganization(testimonial.organization_id);
+  const assets = {};
+  for (const kind of ASSET_KINDS) {
+    if (!options[kind]) continue;
+    assets[kind] = getAsset(organization.id, kind);
+    if (!assets[kind]) throw new Error(`The organization has no ${kind} to render with`);
+  }
+
+  const width = even(testimonial.width || 1280);
+  const height = even(testimonial.height || 720);
+  const tracks = testimonial.tracks ? JSON.parse(testimonial.tracks) : [];
+  const hasAudio = tracks.length ? tracks.some((t) => t.type === 'audio') : true;
+  const inputs = ['-i', await localCopy(originalKey(testimonial), dir)];
+  const filters = [];
+  const segments = [];
+  let total = testimonial.duration;
+
+  const addClip = async (kind) => {
+    const asset = assets[kind];
+    const index = inputs.length / 2;
+    inputs.push('-i', await localCopy(brandAssetKey(asset), dir));
+    filters.push(fitVideo(index, width, height, `${kind}v`), fitAudio(index, asset.has_audio, asset.duration, `${kind}a`));
+    segments.push(`[${kind}v][${kind}a]`);
+    total += asset.duration;
+  };
+
+  if (assets.intro) await addClip('intro');
+
+  filters.push(fitVideo(0, width, height, 'base'), fitAudio(0, hasAudio, testimonial.duration, 'maina'));
+  let main = 'base';
+  if (assets.watermark) {
+    const index = inputs.length / 2;
+    inputs.push('-i', await localCopy(brandAssetKey(assets.watermark), dir));
+    const margin = Math.round(Math.min(width, height) * 0.04);
+    const x = options.position.endsWith('left') ? margin : `main_w-overlay_w-${margin}`;
+    const y = options.position.startsWith('top') ? margin : `main_h-overlay_h-${margin}`;
+    filters.push(
+      `[${index}:v]scale=${Math.round(width * 0.16)}:-1,format=rgba,colorchannelmixer=aa=0.85[wm]`,
+      `[base][wm]overlay=x=${x}:y=${y}:format=auto,format=yuv420p[marked]`,
+    );
+    main = 'marked';
+  }
+  if (options.name) {
+    const accent = organization.branding ? JSON.parse(organization.branding).primaryColor : null;
+    filters.push(`[${main}]${lowerThird(options, {
+      width, height, duration: testimonial.duration, accent: accent || DEFAULT_ACCENT, dir,
+    })}[mainv]`);
+  } else {
+    filters.push(`[${main}]null[mainv]`);
+  }
+  segments.push('[mainv][maina]');
+
+  if (assets.outro) await addClip('outro');
+
+  filters.push(`${segments.join('')}concat=n=${segments.length}:v=1:a=1[v][a]`);
+  const output = path.join(dir, 'branded.mp4');
+  await runFfmpeg([
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '[v]', '-map', '[a]',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p', '-profile:v', 'high',
+    '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+    '-movflags', '+faststart',
+    output,
+  ], { duration: total, onProgress: (p) => setProgress(p * 0.95) });
+
+  const { size } = fs.statSync(output);
+  await putFile(renditionKey(testimonial, 'branded.mp4'), output, { contentType: 'video/mp4' });
+  const rendition = renditionJson(saveRendition(testimonial.id, {
+    kind: 'branded', filename: 'branded.mp4', mimeType: 'video/mp4', size, height,
+  }));
+  emitEvent('testimonial.branded', { testimonial: toJson(getTestimonial(testimonial.id)), rendition });
+  return { rendition };
+}
+
+registerJobHandler('brand', async (job, { setProgress }) => {
+  const testimonial = getTestimonial(job.testimonial_id);
+  if (!testimonial) throw new Error('Testimonial no longer exists');
+  // It may have been withdrawn while the job was queued.
+  if (testimonial.status !== 'approved') throw new Error('Testimonial is no longer approved');
+
+  const dir = fs.mkdtempSync(path.join(workDir, `${testimonial.id}-`));
+  try {
+    return await render(testimonial, JSON.parse(job.payload), dir, setProgress);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function optionalText(value, key) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_TEXT_LENGTH) {
+    throw new HttpError(400, `${key} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return value.trim() || null;
+}
+
+// Render options from a request body. Each asset is used when the
+// organization has one, unless the body turns it off with `false`.
+function parseRenderOptions(input, organizationId) {
+  const options = {
+    name: optionalText(input.name, 'name'),
+    title: optionalText(input.title, 'title'),
+    position: 'top-right',
+  };
+  if (options.title && !options.name) throw new HttpError(400, 'title needs a name to go with it');
+
+  for (const kind of ASSET_KINDS) {
+    if (input[kind] !== undefined && typeof input[kind] !== 'boolean') {
+      throw new HttpError(400, `${kind} must be a boolean`);
+    }
+    const available = Boolean(getAsset(organizationId, kind));
+    if (input[kind] === true && !available) {
+      throw new HttpError(400, `No ${kind} has been uploaded under /api/brand-assets`);
+    }
+    options[kind] = input[kind] ?? available;
+  }
+
+  if (input.position !== undefined) {
+    if (!POSITIONS.includes(input.position)) {
+      throw new HttpError(400, `position must be one of: ${POSITIONS.join(', ')}`);
+    }
+    options.position = input.position;
+  }
+  if (!options.intro && !options.outro && !options.watermark && !options.name) {
+    throw new HttpError(400, 'Nothing to render: give a name or upload brand assets');
+  }
+  return options;
+}
+
+// Admin routes, mounted under /api/testimonials
+const router = express.Router();
+
+router.post('/:id/brand', (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Testimonial not found' });
+  if (row.status !== 'approved') {
+    return res.status(409).json({ error: 'Only approved testimonials can be rendered', code: 'not_approved' });
+  }
+  const options = parseRenderOptions(req.body ?? {}, row.organization_id);
+  res.status(202).json(jobJson(enqueueJob('brand', { testimonialId: row.id, payload: options })));
+});
+
+export default router;
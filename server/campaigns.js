@@ -0,0 +1,213 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from './db.js';
+import { HttpError, MAX_DURATION } from './shared.js';
+import { getOrganization, publicOrganizationJson } from './organizations.js';
+
+// Campaigns are separate recording drives, each with its own link
+// (/c/<slug>), question, recording limits and background choices.
+// Submissions made through a campaign link are tagged with it and belong to
+// the campaign's organization. Slugs are unique across organizations.
+
+const SLUG_RE = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+// The ids of BACKGROUNDS in src/App.jsx
+const BACKGROUND_IDS = [
+  'none', 'blur-light', 'blur-medium', 'blur-strong', 'living-room', 'home-office', 'library', 'aurora', 'upload',
+];
+
+export function campaignJson(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    title: row.title,
+    prompt: row.prompt,
+    maxDuration: row.max_duration,
+    countdown: row.countdown,
+    backgrounds: row.backgrounds ? JSON.parse(row.backgrounds) : null,
+    opensAt: row.opens_at,
+    closesAt: row.closes_at,
+    open: isOpen(row),
+    createdAt: row.created_at,
+  };
+}
+
+// What the recording app needs to know, with the organization's branding;
+// ids and bookkeeping stay private.
+export function publicCampaignJson(row) {
+  const { slug, title, prompt, maxDuration, countdown, backgrounds, opensAt, closesAt, open } = campaignJson(row);
+  const organization = publicOrganizationJson(getOrganization(row.organization_id));
+  return { slug, title, prompt, maxDuration, countdown, backgrounds, opensAt, closesAt, open, organization };
+}
+
+export function isOpen(row, now = new Date().toISOString()) {
+  return (!row.opens_at || row.opens_at <= now) && (!row.closes_at || now < row.closes_at);
+}
+
+export function getCampaign(id) {
+  return db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id);
+}
+
+export function getCampaignBySlug(slug) {
+  return db.prepare('SELECT * FROM campaigns WHERE slug = ?').get(slug);
+}
+
+// For upload requests: the open campaign named by `slug`, or null without one.
+export function resolveCampaign(slug) {
+  if (slug === undefined || slug === null || slug === '') return null;
+  const row = typeof slug === 'string' ? getCampaignBySlug(slug) : null;
+  if (!row) throw new HttpError(400, 'Unknown campaign', { code: 'campaign_not_found' });
+  if (!isOpen(row)) {
+    throw new HttpError(409, 'This campaign is not accepting submissions', { code: 'campaign_closed' });
+  }
+  return row;
+}
+
+function parseDate(value, key) {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw new HttpError(400, `${key} must be a date or null`);
+  }
+  return new Date(value).toISOString();
+}
+
+function parseInteger(value, key, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new HttpError(400, `${key} must be a whole number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// Maps a create (no `existing`) or partial update body to column values.
+function parseCampaign(body, existing = null) {
+  const input = body ?? {};
+  const fields = {};
+  const creating = !existing;
+
+  if (input.slug !== undefined || creating) {
+    if (typeof input.slug !== 'string' || !SLUG_RE.test(input.slug)) {
+      throw new HttpError(400, 'slug must be lowercase letters, digits and dashes');
+    }
+    fields.slug = input.slug;
+  }
+  if (input.prompt !== undefined || creating) {
+    if (typeof input.prompt !== 'string' || !input.prompt.trim() || input.prompt.length > 500) {
+      throw new HttpError(400, 'prompt is required (at most 500 characters)');
+    }
+    fields.prompt = input.prompt.trim();
+  }
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || input.title.length > 200) {
+      throw new HttpError(400, 'title must be a string of at most 200 characters');
+    }
+    fields.title = input.title.trim();
+  }
+  if (input.maxDuration !== undefined) fields.max_duration = parseInteger(input.maxDuration, 'maxDuration', 5, 600);
+  if (input.countdown !== undefined) fields.countdown = parseInteger(input.countdown, 'countdown', 0, 10);
+  if (input.backgrounds !== undefined) {
+    const list = input.backgrounds;
+    if (list !== null && (!Array.isArray(list) || !list.length)) {
+      throw new HttpError(400, 'backgrounds must be a non-empty list of background ids, or null for all');
+    }
+    const unknown = (list ?? []).filter((b) => !BACKGROUND_IDS.includes(b));
+    if (unknown.length) {
+      throw new HttpError(400, `Unknown backgrounds: ${unknown.map(String).join(', ')}`, { backgrounds: BACKGROUND_IDS });
+    }
+    fields.backgrounds = list ? JSON.stringify([...new Set(list)]) : null;
+  }
+  if (input.opensAt !== undefined) fields.opens_at = parseDate(input.opensAt, 'opensAt');
+  if (input.closesAt !== undefined) fields.closes_at = parseDate(input.closesAt, 'closesAt');
+
+  const opens = 'opens_at' in fields ? fields.opens_at : existing?.opens_at;
+  const closes = 'closes_at' in fields ? fields.closes_at : existing?.closes_at;
+  if (opens && closes && closes <= opens) {
+    throw new HttpError(400, 'closesAt must be after opensAt');
+  }
+  return fields;
+}
+
+function saveOrConflict(fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw new HttpError(409, 'A campaign with this slug already exists');
+    }
+    throw err;
+  }
+}
+
+// Admin routes, mounted at /api/campaigns
+const router = express.Router();
+
+// Campaigns of other organizations are answered as if they didn't exist.
+router.param('id', (req, res, next, id) => {
+  if (getCampaign(id)?.organization_id !== req.organization.id) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  next();
+});
+
+router.get('/', (req, res) => {
+  const rows = db.prepare('SELECT * FROM campaigns WHERE organization_id = ? ORDER BY created_at DESC').all(req.organization.id);
+  res.json({ items: rows.map(campaignJson) });
+});
+
+router.post('/', (req, res) => {
+  const fields = parseCampaign(req.body);
+  const row = {
+    id: crypto.randomUUID(),
+    title: fields.slug,
+    max_duration: MAX_DURATION,
+    countdown: 3,
+    backgrounds: null,
+    opens_at: null,
+    closes_at: null,
+    ...fields,
+    organization_id: req.organization.id,
+    created_at: new Date().toISOString(),
+  };
+  saveOrConflict(() => db.prepare(`
+    INSERT INTO campaigns (id, slug, title, prompt, max_duration, countdown, backgrounds, opens_at, closes_at,
+      organization_id, created_at)
+    VALUES (@id, @slug, @title, @prompt, @max_duration, @countdown, @backgrounds, @opens_at, @closes_at,
+      @organization_id, @created_at)
+  `).run(row));
+  res.status(201).json(campaignJson(getCampaign(row.id)));
+});
+
+router.get('/:id', (req, res) => {
+  const row = getCampaign(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Campaign not found' });
+  res.json(campaignJson(row));
+});
+
+router.patch('/:id', (req, res) => {
+  const row = getCampaign(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Campaign not found' });
+  const fields = parseCampaign(req.body, row);
+  const columns = Object.keys(fields);
+  if (columns.length) {
+    saveOrConflict(() => db.prepare(`UPDATE campaigns SET ${columns.map((c) => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...fields, id: row.id }));
+  }
+  res.json(campaignJson(getCampaign(row.id)));
+});
+
+// Testimonials recorded through the campaign stay, untagged.
+router.delete('/:id', (req, res) => {
+  const { changes } = db.prepare('DELETE FROM campaigns WHERE id = ?').run(req.params.id);
+  if (!changes) return res.status(404).json({ error: 'Campaign not found' });
+  res.status(204).end();
+});
+
+// Public route, mounted at /api/public/campaigns. Closed campaigns are still
+// returned (with `open: false`) so the app can say so.
+export const publicRouter = express.Router();
+
+publicRouter.get('/:slug', (req, res) => {
+  const row = getCampaignBySlug(req.params.slug);
+  if (!row) return res.status(404).json({ error: 'Campaign not found' });
+  res.set('Cache-Control', 'no-cache').json(publicCampaignJson(row));
+});
+
+export default router;
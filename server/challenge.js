@@ -0,0 +1,77 @@
+import express from 'express';
+import crypto from 'crypto';
+import { HttpError } from './shared.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// Optional challenge the browser must answer before it may start an upload.
+// The record screen fetches one when it loads, so by the time the video is
+// ready the answer is too. UPLOAD_CHALLENGE selects the mode:
+//   off    no challenge (default)
+//   token  a signed token only, proving the client loaded the page first
+//   pow    the client must also find a nonce such that
+//          sha256(`${salt}:${nonce}`) starts with CHALLENGE_DIFFICULTY zero bits
+
+const MODE = process.env.UPLOAD_CHALLENGE || 'off';
+const DIFFICULTY = MODE === 'pow' ? Number(process.env.CHALLENGE_DIFFICULTY) || 16 : 0;
+const TOKEN_PURPOSE = 'upload-challenge';
+const TOKEN_TTL = 30 * 60;
+
+if (!['off', 'token', 'pow'].includes(MODE)) {
+  throw new Error(`Unknown UPLOAD_CHALLENGE "${MODE}"; use off, token or pow`);
+}
+
+// Salts already spent, until their token would have expired anyway
+const used = new Map();
+setInterval(() => {
+  const now = Date.now() / 1000;
+  for (const [salt, exp] of used) {
+    if (exp <= now) used.delete(salt);
+  }
+}, 5 * 60 * 1000).unref();
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Middleware for requests that start a new upload
+export function requireChallenge(req, res, next) {
+  if (MODE === 'off') return next();
+
+  const claims = verifyToken(TOKEN_PURPOSE, req.get('X-Challenge'));
+  if (!claims || used.has(claims.salt)) {
+    return next(new HttpError(403, 'Upload challenge is missing or expired. Please reload the page.', { code: 'challenge_required' }));
+  }
+  if (claims.difficulty > 0) {
+    const nonce = req.get('X-Challenge-Solution') || '';
+    const hash = crypto.createHash('sha256').update(`${claims.salt}:${nonce}`).digest();
+    if (leadingZeroBits(hash) < claims.difficulty) {
+      return next(new HttpError(403, 'Upload challenge was not solved', { code: 'challenge_required' }));
+    }
+  }
+  used.set(claims.salt, claims.exp);
+  next();
+}
+
+// Public route, mounted at /api/challenge
+export const publicRouter = express.Router();
+
+publicRouter.get('/', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (MODE === 'off') return res.json({ required: false });
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  res.json({
+    required: true,
+    token: signToken(TOKEN_PURPOSE, { salt, difficulty: DIFFICULTY }, TOKEN_TTL),
+    salt,
+    difficulty: DIFFICULTY,
+  });
+});
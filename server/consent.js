@@ -0,0 +1,157 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import db from './db.js';
+import { HttpError } from './shared.js';
+import { getTestimonial } from './testimonials.js';
+import { csvRow } from './csv.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The release people agree to before submitting. Edit consent.json (or point
+// CONSENT_FILE elsewhere) and bump `version` whenever the wording or scopes
+// change; every accepted version is kept in consent_releases.
+const CONSENT_FILE = process.env.CONSENT_FILE || path.join(__dirname, 'consent.json');
+
+function loadRelease() {
+  const release = JSON.parse(fs.readFileSync(CONSENT_FILE, 'utf8'));
+  if (!Number.isInteger(release.version) || !release.text || !Array.isArray(release.scopes)) {
+    throw new Error(`${CONSENT_FILE} needs an integer version, text and scopes`);
+  }
+
+  const scopes = JSON.stringify(release.scopes);
+  const stored = db.prepare('SELECT * FROM consent_releases WHERE version = ?').get(release.version);
+  if (!stored) {
+    db.prepare('INSERT INTO consent_releases (version, title, text, scopes, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(release.version, release.title || 'Release', release.text, scopes, new Date().toISOString());
+  } else if (stored.text !== release.text || stored.scopes !== scopes) {
+    throw new Error(`${CONSENT_FILE} changed without bumping its version (still ${release.version})`);
+  }
+  return release;
+}
+
+export const release = loadRelease();
+
+// Checks what the client agreed to against the current release. Returns the
+// normalised consent or throws a 400/409 HttpError.
+export function parseConsent(input) {
+  if (!input || typeof input !== 'object') {
+    throw new HttpError(400, 'Consent to the video release is required', { code: 'consent_required' });
+  }
+  if (input.version !== release.version) {
+    throw new HttpError(409, 'The video release has changed. Please review it again.', { code: 'consent_outdated' });
+  }
+
+  const known = release.scopes.map((s) => s.id);
+  const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes)] : [];
+  if (scopes.some((s) => !known.includes(s))) {
+    throw new HttpError(400, 'Unknown consent scope', { code: 'consent_required' });
+  }
+  const missing = release.scopes.filter((s) => s.required && !scopes.includes(s.id));
+  if (missing.length) {
+    throw new HttpError(400, `Consent is required for: ${missing.map((s) => s.id).join(', ')}`, { code: 'consent_required' });
+  }
+
+  const signature = typeof input.signature === 'string' ? input.signature.trim() : '';
+  if (signature.length < 2 || signature.length > 200) {
+    throw new HttpError(400, 'Type your full name to sign the release', { code: 'consent_required' });
+  }
+
+  return { version: release.version, scopes, signature };
+}
+
+export function recordConsent(testimonialId, { version, scopes, signature, ip, userAgent, acceptedAt }) {
+  db.prepare(`
+    INSERT INTO consents (testimonial_id, release_version, scopes, signature, ip, user_agent, accepted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(testimonialId, version, JSON.stringify(scopes), signature, ip || null, userAgent || null, acceptedAt);
+}
+
+export function getConsent(testimonialId) {
+  return db.prepare('SELECT * FROM consents WHERE testimonial_id = ?').get(testimonialId);
+}
+
+export function consentJson(row) {
+  return {
+    testimonialId: row.testimonial_id,
+    releaseVersion: row.release_version,
+    scopes: JSON.parse(row.scopes),
+    signature: row.signature,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    acceptedAt: row.accepted_at,
+  };
+}
+
+// Public: what the consent step shows
+export const publicRouter = express.Router();
+
+publicRouter.get('/', (req, res) => {
+  res.json({ version: release.version, title: release.title, text: release.text, scopes: release.scopes });
+});
+
+// Admin, mounted under /api/testimonials
+const router = express.Router();
+
+router.get('/:id/consent', (req, res) => {
+  if (!getTestimonial(req.params.id)) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  const row = getConsent(req.params.id);
+  if (!row) return res.status(404).json({ error: 'No consent recorded for this testimonial' });
+  res.json(consentJson(row));
+});
+
+// Admin export, mounted at /api/consents. ?format=csv for a spreadsheet,
+// otherwise JSON; `from`/`to` bound accepted_at.
+export const exportRouter = express.Router();
+
+exportRouter.get('/', (req, res) => {
+  const clauses = [];
+  const params = {};
+  for (const [key, op] of [['from', '>='], ['to', '<=']]) {
+    if (!req.query[key]) continue;
+    if (Number.isNaN(Date.parse(req.query[key]))) {
+      return res.status(400).json({ error: `${key} must be a valid date` });
+    }
+    clauses.push(`c.accepted_at ${op} @${key}`);
+    params[key] = new Date(req.query[key]).toISOString();
+  }
+
+  clauses.push('t.organization_id = @organizationId');
+  params.organizationId = req.organization.id;
+
+  const rows = db.prepare(`
+    SELECT c.*, t.email, r.title AS release_title, r.text AS release_text
+    FROM consents c
+    JOIN testimonials t ON t.id = c.testimonial_id
+    JOIN consent_releases r ON r.version = c.release_version
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY c.accepted_at
+  `).all(params);
+
+  if (req.query.format === 'csv') {
+    res.type('text/csv').attachment('consents.csv');
+    res.write(csvRow(['testimonial_id', 'email', 'release_version', 'scopes', 'signature', 'ip', 'user_agent', 'accepted_at']));
+    for (const row of rows) {
+      res.write(csvRow([
+        row.testimonial_id, row.email, row.release_version, JSON.parse(row.scopes).join(' '),
+        row.signature, row.ip, row.user_agent, row.accepted_at,
+      ]));
+    }
+    return res.end();
+  }
+
+  const releases = {};
+  for (const row of rows) {
+    releases[row.release_version] ??= { title: row.release_title, text: row.release_text };
+  }
+  res.json({
+    items: rows.map((row) => ({ ...consentJson(row), email: row.email })),
+    releases,
+  });
+});
+
+export default router;
@@ -0,0 +1,12 @@
+// RFC 4180 CSV rows. Text cells that a spreadsheet would treat as a formula
+// are prefixed with an apostrophe.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
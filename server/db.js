@@ -0,0 +1,233 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { dataDir } from './shared.js';
+
+const db = new Database(path.join(dataDir, 'videovoice.db'));
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Append-only: each entry runs once, in order, tracked by PRAGMA user_version.
+const migrations = [
+  `CREATE TABLE testimonials (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    duration REAL,
+    mime_type TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+  );
+  CREATE INDEX testimonials_created_at ON testimonials (created_at);
+  CREATE INDEX testimonials_email ON testimonials (email);
+  CREATE INDEX testimonials_status ON testimonials (status);`,
+
+  `CREATE TABLE testimonial_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    testimonial_id TEXT NOT NULL REFERENCES testimonials (id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    reviewer TEXT,
+    note TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX testimonial_events_testimonial ON testimonial_events (testimonial_id, id);`,
+
+  `CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    testimonial_id TEXT REFERENCES testimonials (id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'queued',
+    progress REAL,
+    payload TEXT,
+    result TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT
+  );
+  CREATE INDEX jobs_status ON jobs (status, created_at);
+  CREATE INDEX jobs_testimonial ON jobs (testimonial_id);
+
+  CREATE TABLE renditions (
+    testimonial_id TEXT NOT NULL REFERENCES testimonials (id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    height INTEGER,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (testimonial_id, kind)
+  );`,
+
+  `ALTER TABLE testimonials ADD COLUMN email_verified_at TEXT;`,
+
+  `CREATE TABLE consent_releases (
+    version INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    text TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE consents (
+    testimonial_id TEXT PRIMARY KEY REFERENCES testimonials (id) ON DELETE CASCADE,
+    release_version INTEGER NOT NULL REFERENCES consent_releases (version),
+    scopes TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    ip TEXT,
+    user_agent TEXT,
+    accepted_at TEXT NOT NULL
+  );
+  CREATE INDEX consents_accepted_at ON consents (accepted_at);`,
+
+  `CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    events TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    description TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+  CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+  CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);`,
+
+  `CREATE TABLE campaigns (
+    id TEXT PRIMARY KEY,
+    slug TEXT NOT NULL UNIQUE,
+    title TEXT NOT NULL,
+    prompt TEXT NOT NULL,
+    max_duration INTEGER NOT NULL DEFAULT 30,
+    countdown INTEGER NOT NULL DEFAULT 3,
+    backgrounds TEXT,
+    opens_at TEXT,
+    closes_at TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  ALTER TABLE testimonials ADD COLUMN campaign_id TEXT REFERENCES campaigns (id) ON DELETE SET NULL;
+  CREATE INDEX testimonials_campaign ON testimonials (campaign_id);`,
+
+  `ALTER TABLE testimonials ADD COLUMN width INTEGER;
+  ALTER TABLE testimonials ADD COLUMN height INTEGER;
+  ALTER TABLE testimonials ADD COLUMN tracks TEXT;`,
+
+  `ALTER TABLE testimonials ADD COLUMN sha256 TEXT;
+  ALTER TABLE testimonials ADD COLUMN idempotency_key TEXT;
+  CREATE INDEX testimonials_sha256 ON testimonials (sha256);
+  CREATE UNIQUE INDEX testimonials_idempotency ON testimonials (email, idempotency_key);`,
+
+  `ALTER TABLE testimonials ADD COLUMN scan_status TEXT;
+  ALTER TABLE testimonials ADD COLUMN scan_engine TEXT;
+  ALTER TABLE testimonials ADD COLUMN scan_signature TEXT;
+  ALTER TABLE testimonials ADD COLUMN scanned_at TEXT;`,
+
+  `CREATE TABLE organizations (
+    id TEXT PRIMARY KEY,
+    slug TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    storage_prefix TEXT NOT NULL DEFAULT '',
+    branding TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    organization_id TEXT NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    name TEXT,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE INDEX api_keys_organization ON api_keys (organization_id);
+
+  INSERT INTO organizations (id, slug, name, created_at)
+  VALUES ('default', 'default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+  ALTER TABLE testimonials ADD COLUMN organization_id TEXT REFERENCES organizations (id);
+  ALTER TABLE testimonials ADD COLUMN storage_prefix TEXT NOT NULL DEFAULT '';
+  ALTER TABLE campaigns ADD COLUMN organization_id TEXT REFERENCES organizations (id) ON DELETE CASCADE;
+  ALTER TABLE webhooks ADD COLUMN organization_id TEXT REFERENCES organizations (id) ON DELETE CASCADE;
+  ALTER TABLE jobs ADD COLUMN organization_id TEXT REFERENCES organizations (id) ON DELETE CASCADE;
+  UPDATE testimonials SET organization_id = 'default';
+  UPDATE campaigns SET organization_id = 'default';
+  UPDATE webhooks SET organization_id = 'default';
+  UPDATE jobs SET organization_id = 'default';
+  CREATE INDEX testimonials_organization ON testimonials (organization_id, created_at);
+  CREATE INDEX campaigns_organization ON campaigns (organization_id);
+  CREATE INDEX webhooks_organization ON webhooks (organization_id);
+  CREATE INDEX jobs_organization ON jobs (organization_id, created_at);
+  DROP INDEX testimonials_idempotency;
+  CREATE UNIQUE INDEX testimonials_idempotency ON testimonials (organization_id, email, idempotency_key);`,
+
+  `ALTER TABLE testimonials ADD COLUMN caption TEXT;
+  CREATE INDEX testimonials_campaign_status ON testimonials (campaign_id, status, created_at);`,
+
+  `CREATE TABLE brand_assets (
+    organization_id TEXT NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    storage_prefix TEXT NOT NULL DEFAULT '',
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    duration REAL,
+    has_audio INTEGER,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (organization_id, kind)
+  );`,
+
+  `CREATE TABLE reels (
+    id TEXT PRIMARY KEY,
+    organization_id TEXT NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+    title TEXT,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    crossfade REAL NOT NULL,
+    storage_prefix TEXT NOT NULL DEFAULT '',
+    job_id TEXT,
+    size INTEGER,
+    duration REAL,
+    chapters TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX reels_organization ON reels (organization_id, created_at);
+  CREATE TABLE reel_clips (
+    reel_id TEXT NOT NULL REFERENCES reels (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    testimonial_id TEXT NOT NULL REFERENCES testimonials (id),
+    in_point REAL NOT NULL,
+    out_point REAL NOT NULL,
+    title TEXT,
+    PRIMARY KEY (reel_id, position)
+  );
+  CREATE INDEX reel_clips_testimonial ON reel_clips (testimonial_id);`,
+];
+
+const version = db.pragma('user_version', { simple: true });
+for (let i = version; i < migrations.length; i++) {
+  db.transaction(() => {
+    db.exec(migrations[i]);
+    db.pragma(`user_version = ${i + 1}`);
+  })();
+}
+
+export default db;
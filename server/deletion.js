@@ -0,0 +1,172 @@
+import express from 'express';
+import fs from 'fs';
+import db from './db.js';
+import { PUBLIC_URL, isValidEmail } from './shared.js';
+import { getTestimonial, originalKey } from './testimonials.js';
+import { listRenditions, renditionKey } from './renditions.js';
+import storage from './storage/index.js';
+import { quarantinePath } from './quarantine.js';
+import { reelsWith, reelKey } from './reels.js';
+import { signToken, verifyToken } from './tokens.js';
+import { sendMail } from './mail/index.js';
+import { renderPage, escapeHtml } from './pages.js';
+import { emitEvent } from './webhooks.js';
+import { rateLimiter } from './limits.js';
+
+// Right to erasure. A submitter asks for a link at /api/delete-my-data,
+// and following it removes every testimonial recorded under their address:
+// the original, its renditions, any highlight reel it appears in and all rows
+// about it (history, consent, jobs, webhook deliveries).
+
+const TOKEN_PURPOSE = 'delete-data';
+const TOKEN_TTL = 24 * 60 * 60;
+export const DELETE_PAGE_URL = `${PUBLIC_URL}/api/delete-my-data`;
+
+// At most a few links per address per hour, so the form can't be used to
+// flood someone's inbox.
+const hitEmail = rateLimiter({ windowMs: 60 * 60 * 1000, max: 3 });
+
+// `reason` is reported to webhook subscribers, e.g. "submitter" or "retention".
+export async function deleteTestimonial(id, { reason }) {
+  const row = getTestimonial(id);
+  if (!row) return false;
+  const reels = reelsWith(id);
+  const keys = [
+    originalKey(row),
+    ...listRenditions(id).map((r) => renditionKey(row, r.filename)),
+    ...reels.map(reelKey),
+  ];
+
+  db.transaction(() => {
+    for (const reel of reels) db.prepare('DELETE FROM reels WHERE id = ?').run(reel.id);
+    db.prepare("DELETE FROM webhook_deliveries WHERE json_extract(payload, '$.data.testimonial.id') = ?").run(id);
+    db.prepare('DELETE FROM testimonials WHERE id = ?').run(id);
+    emitEvent('testimonial.deleted', { testimonial: { id, organizationId: row.organization_id }, reason });
+  })();
+
+  // Files go after the rows; anything left behind is an orphan the
+  // retention sweep removes later.
+  fs.rmSync(quarantinePath(row.filename), { force: true });
+  for (const key of keys) {
+    await storage.delete(key).catch((err) => {
+      console.error(`Could not delete ${key} from storage:`, err.message);
+    });
+  }
+  console.log(`Deleted testimonial ${id} (${reason})`);
+  return true;
+}
+
+function testimonialsFor(email) {
+  return db.prepare('SELECT id FROM testimonials WHERE email = ? COLLATE NOCASE').all(email);
+}
+
+function sendDeletionLink(email) {
+  const token = signToken(TOKEN_PURPOSE, { email: email.toLowerCase() }, TOKEN_TTL);
+  const link = `${DELETE_PAGE_URL}?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Delete your VideoVoice testimonials',
+    text: [
+      'We received a request to delete the videos you recorded with this email address.',
+      '',
+      'Open this link within 24 hours to confirm:',
+      link,
+      '',
+      "If you didn't ask for this, ignore this message and nothing will be deleted.",
+    ].join('\n'),
+    html: `<p>We received a request to delete the videos you recorded with this email address.</p>
+<p><a href="${escapeHtml(link)}">Delete my videos</a> (valid for 24 hours)</p>
+<p>If you didn't ask for this, ignore this message and nothing will be deleted.</p>`,
+  });
+}
+
+const invalidLinkPage = renderPage({
+  title: 'Link expired',
+  body: `<h1>This link is no longer valid</h1><p>It may have expired. <a href="${escapeHtml(DELETE_PAGE_URL)}" style="color:#fff">Request a new one</a>.</p>`,
+});
+
+// Public routes, mounted at /api/delete-my-data
+export const publicRouter = express.Router();
+
+publicRouter.get('/', (req, res) => {
+  if (req.query.token === undefined) {
+    return res.type('html').send(renderPage({
+      title: 'Delete my data',
+      body: `<h1>Delete my videos</h1>
+<p>Enter the email address you recorded with and we'll send you a link to delete everything you submitted.</p>
+<form method="post" action="${escapeHtml(req.baseUrl)}/request">
+  <input type="email" name="email" required placeholder="you@example.com" />
+  <button type="submit">Email me a link</button>
+</form>`,
+    }));
+  }
+
+  const claims = verifyToken(TOKEN_PURPOSE, req.query.token);
+  if (!claims) return res.status(400).type('html').send(invalidLinkPage);
+  const count = testimonialsFor(claims.email).length;
+  if (!count) {
+    return res.type('html').send(renderPage({
+      title: 'Nothing to delete',
+      body: `<h1>Nothing to delete</h1><p>We don't hold any videos for ${escapeHtml(claims.email)}.</p>`,
+    }));
+  }
+  res.type('html').send(renderPage({
+    title: 'Delete my data',
+    body: `<h1>Delete ${count === 1 ? 'your video' : `${count} videos`}?</h1>
+<p>This permanently removes everything recorded with ${escapeHtml(claims.email)}, including any published copies. It can't be undone.</p>
+<form method="post" action="${escapeHtml(req.baseUrl)}">
+  <input type="hidden" name="token" value="${escapeHtml(req.query.token)}" />
+  <button type="submit" class="danger">Delete permanently</button>
+</form>`,
+  }));
+});
+
+// Always answers the same way so the form doesn't reveal who has submitted.
+publicRouter.post('/request', express.urlencoded({ extended: false }), async (req, res) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+  const json = req.is('json');
+  if (!isValidEmail(email)) {
+    if (json) return res.status(400).json({ error: 'Valid email is required' });
+    return res.status(400).type('html').send(renderPage({
+      title: 'Delete my data',
+      body: '<h1>Check the address</h1><p>That doesn\'t look like a valid email address. Please go back and try again.</p>',
+    }));
+  }
+
+  if (testimonialsFor(email).length && !hitEmail(email.toLowerCase())) {
+    await sendDeletionLink(email);
+  }
+
+  const message = "If we hold any videos for that address, we've emailed it a link to delete them.";
+  if (json) return res.status(202).json({ message });
+  res.type('html').send(renderPage({
+    title: 'Check your inbox',
+    body: `<h1>Check your inbox</h1><p>${escapeHtml(message)}</p>`,
+  }));
+});
+
+publicRouter.post('/', express.urlencoded({ extended: false }), async (req, res) => {
+  const claims = verifyToken(TOKEN_PURPOSE, req.body?.token);
+  if (!claims) return res.status(400).type('html').send(invalidLinkPage);
+
+  for (const { id } of testimonialsFor(claims.email)) {
+    await deleteTestimonial(id, { reason: 'submitter' });
+  }
+  res.type('html').send(renderPage({
+    title: 'Deleted',
+    body: '<h1>Your videos are deleted</h1><p>Everything you submitted with this address has been removed.</p>',
+  }));
+});
+
+// Admin routes, mounted under /api/testimonials
+const router = express.Router();
+
+router.delete('/:id', async (req, res) => {
+  if (!(await deleteTestimonial(req.params.id, { reason: 'admin' }))) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.status(204).end();
+});
+
+export default router;
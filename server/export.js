@@ -0,0 +1,158 @@
+import express from 'express';
+import path from 'path';
+import { ZipArchive } from 'archiver';
+import db from './db.js';
+import { PUBLIC_URL } from './shared.js';
+import { buildFilters, toJson, originalKey } from './testimonials.js';
+import { getCampaign } from './campaigns.js';
+import { getConsent, consentJson } from './consent.js';
+import { getRendition, renditionKey } from './renditions.js';
+import { signedVideoUrl } from './stream.js';
+import storage from './storage/index.js';
+import { csvRow } from './csv.js';
+
+// Bulk exports taking the same filters as GET /api/testimonials. Both formats
+// are written as they are read: rows come out of SQLite a page at a time and
+// videos are streamed into the ZIP one after another.
+
+const PAGE_SIZE = 200;
+// Links to videos that aren't public yet stay valid this long.
+const LINK_TTL = 7 * 24 * 60 * 60;
+
+// Walks one organization's filtered testimonials oldest first, until `fn`
+// returns false.
+// Keyset pagination keeps each query short, so other requests can use the
+// database in between.
+async function eachTestimonial(query, organizationId, fn) {
+  const { where, params } = buildFilters(query, organizationId);
+  let after = null;
+  for (;;) {
+    const keyset = after ? '(created_at > @afterAt OR (created_at = @afterAt AND id > @afterId))' : null;
+    const clause = keyset ? `${where} AND ${keyset}` : where;
+    const rows = db.prepare(`
+      SELECT * FROM testimonials ${clause} ORDER BY created_at, id LIMIT ${PAGE_SIZE}
+    `).all({ ...params, ...(after && { afterAt: after.created_at, afterId: after.id }) });
+    for (const row of rows) {
+      if ((await fn(row)) === false) return;
+    }
+    if (rows.length < PAGE_SIZE) return;
+    after = rows[rows.length - 1];
+  }
+}
+
+function videoUrl(row) {
+  return row.status === 'approved'
+    ? `${PUBLIC_URL}/api/testimonials/${row.id}/video`
+    : signedVideoUrl(row.id, LINK_TTL);
+}
+
+function describe(row, campaigns) {
+  if (row.campaign_id && !campaigns.has(row.campaign_id)) {
+    campaigns.set(row.campaign_id, getCampaign(row.campaign_id)?.slug ?? null);
+  }
+  const consent = getConsent(row.id);
+  return {
+    ...toJson(row),
+    campaign: row.campaign_id ? campaigns.get(row.campaign_id) : null,
+    consent: consent ? consentJson(consent) : null,
+    videoUrl: videoUrl(row),
+  };
+}
+
+// Waits for the response to drain so a slow client slows the export down
+// instead of filling memory.
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Resolves once the archive has written the entry being appended, or the
+// client has gone away.
+function nextEntry(archive, res) {
+  return new Promise((resolve) => {
+    const done = () => { archive.off('entry', done); res.off('close', done); resolve(); };
+    archive.on('entry', done);
+    res.on('close', done);
+  });
+}
+
+const router = express.Router();
+
+router.get('/testimonials.csv', async (req, res) => {
+  buildFilters(req.query, req.organization.id);
+  res.type('text/csv').attachment('testimonials.csv');
+  await write(res, csvRow([
+    'id', 'email', 'campaign', 'status', 'created_at', 'email_verified_at', 'duration', 'width', 'height', 'size', 'mime_type',
+    'consent_version', 'consent_scopes', 'consent_signature', 'consent_accepted_at', 'video_url', 'poster_url',
+  ]));
+
+  const campaigns = new Map();
+  await eachTestimonial(req.query, req.organization.id, async (row) => {
+    if (res.destroyed) return false;
+    const item = describe(row, campaigns);
+    await write(res, csvRow([
+      item.id, item.email, item.campaign, item.status, item.createdAt, item.emailVerifiedAt,
+      item.duration, item.width, item.height, item.size, item.mimeType,
+      item.consent?.releaseVersion, item.consent?.scopes.join(' '), item.consent?.signature, item.consent?.acceptedAt,
+      item.videoUrl,
+      getRendition(row.id, 'poster') ? `${item.videoUrl}${item.videoUrl.includes('?') ? '&' : '?'}rendition=poster` : null,
+    ]));
+  });
+  res.end();
+});
+
+// ?file=mp4 packs the H.264 transcode where there is one instead of the
+// original upload.
+router.get('/testimonials.zip', async (req, res) => {
+  buildFilters(req.query, req.organization.id);
+  const preferMp4 = req.query.file === 'mp4';
+
+  // Videos are already compressed; storing them keeps the export cheap.
+  const archive = new ZipArchive({ store: true });
+  archive.on('warning', (err) => console.warn('Export warning:', err.message));
+  archive.on('error', (err) => {
+    console.error('Export failed:', err.message);
+    res.destroy(err);
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+
+  res.type('application/zip').attachment('testimonials.zip');
+  archive.pipe(res);
+
+  const items = [];
+  const campaigns = new Map();
+  await eachTestimonial(req.query, req.organization.id, async (row) => {
+    if (res.destroyed) return false;
+    const item = describe(row, campaigns);
+    const mp4 = preferMp4 && getRendition(row.id, 'mp4');
+    const key = mp4 ? renditionKey(row, mp4.filename) : originalKey(row);
+    const name = `videos/${row.id}${mp4 ? '.mp4' : path.extname(row.filename)}`;
+
+    if (await storage.stat(key)) {
+      const entry = nextEntry(archive, res);
+      archive.append(await storage.getStream(key), { name, date: new Date(row.created_at) });
+      await entry;
+      item.file = name;
+    } else {
+      item.file = null;
+    }
+    items.push(item);
+  });
+  if (res.destroyed) return;
+
+  archive.append(JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    filters: req.query,
+    count: items.length,
+    items,
+  }, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import { spawn } from 'child_process';
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Runs ffmpeg with `args` (inputs, filters and outputs). When `duration` is
+// known, `onProgress` receives the fraction of it that has been processed.
+export function runFfmpeg(args, { duration, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(
+      FFMPEG,
+      ['-hide_banner', '-nostdin', '-y', '-progress', 'pipe:1', '-nostats', ...args],
+      { stdio: ['ignore', 'pipe', 'pipe'] },
+    );
+
+    let pending = '';
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', (data) => {
+      pending += data;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const match = /^out_time_us=(\d+)/.exec(line);
+        if (match && duration > 0 && onProgress) {
+          onProgress(Math.min(1, Number(match[1]) / 1e6 / duration));
+        }
+      }
+    });
+
+    // Keep only the tail of stderr; it ends with the reason for a failure.
+    let stderr = '';
+    proc.stderr.setEncoding('utf8');
+    proc.stderr.on('data', (data) => {
+      stderr = (stderr + data).slice(-4000);
+    });
+
+    proc.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        reject(new Error(`ffmpeg not found at "${FFMPEG}". Install it or set FFMPEG_PATH.`));
+      } else {
+        reject(err);
+      }
+    });
+    proc.on('close', (code) => {
+      if (code === 0) return resolve();
+      const reason = stderr.trim().split('\n').pop() || 'no output';
+      reject(new Error(`ffmpeg exited with code ${code}: ${reason}`));
+    });
+  });
+}
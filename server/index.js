@@ -1,47 +1,86 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { MAX_FILE_SIZE, isValidEmail, uniqueFilename, HttpError } from './shared.js';
+import resumableUploads from './resumable.js';
+import testimonials, { organizationScope } from './testimonials.js';
+import moderation from './moderation.js';
+import transcode from './transcode.js';
+import jobs, { startJobs } from './jobs.js';
+import verification, { publicRouter as verifyEmail } from './verification.js';
+import consent, { publicRouter as consentRelease, exportRouter as consentExport, parseConsent } from './consent.js';
+import { ingestUpload, ACCEPTED_TYPES, idempotencyKey, uploadResult } from './ingest.js';
+import { publicRouter as uploadChallenge, requireChallenge } from './challenge.js';
+import { limitUploadsByIp, checkEmailLimit, limitConcurrentUploads, checkStorageQuota } from './limits.js';
+import publicRoutes from './public.js';
+import { requireAdmin, requireSuperAdmin } from './auth.js';
+import organizations, { DEFAULT_ORGANIZATION_ID } from './organizations.js';
+import { incomingDir, filesRouter } from './storage/index.js';
+import webhooks, { startWebhooks } from './webhooks.js';
+import deletion, { publicRouter as deleteMyData } from './deletion.js';
+import retention, { startRetention } from './retention.js';
+import stream, { publicRouter as videoStream } from './stream.js';
+import campaigns, { publicRouter as campaignInfo, resolveCampaign } from './campaigns.js';
+import exportsRouter from './export.js';
+import quarantine from './quarantine.js';
+import share, { oembedRouter } from './share.js';
+import brand, { assetsRouter as brandAssets } from './brand.js';
+import reels from './reels.js';
 
 const app = express();
 const PORT = 3001;
 
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadsDir),
+  destination: (req, file, cb) => cb(null, incomingDir),
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname) || '.webm';
-    cb(null, `testimonial-${uniqueSuffix}${ext}`);
+    cb(null, uniqueFilename(path.extname(file.originalname)));
   },
 });
 
 const upload = multer({
   storage,
-  limits: { fileSize: 100 * 1024 * 1024 },
+  limits: { fileSize: MAX_FILE_SIZE },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('video/')) {
+    if (ACCEPTED_TYPES.includes(file.mimetype.split(';')[0].trim())) {
       cb(null, true);
     } else {
-      cb(new Error('Only video files are allowed'));
+      cb(new Error('Only WebM, Matroska, MP4 and QuickTime videos are accepted'));
     }
   },
 });
 
+// Vite's dev proxy forwards from localhost; take the client IP from it.
+app.set('trust proxy', 'loopback');
 app.use(express.json());
 
-app.post('/api/upload', upload.single('video'), (req, res) => {
+app.use('/api/uploads', resumableUploads);
+app.use('/api/testimonials', videoStream);
+app.use('/api/testimonials', requireAdmin, organizationScope, testimonials, moderation, transcode, brand, quarantine, verification, consent, deletion, stream);
+app.use('/api/consents', requireAdmin, consentExport);
+app.use('/api/jobs', requireAdmin, jobs);
+app.use('/api/webhooks', requireAdmin, webhooks);
+app.use('/api/retention', requireSuperAdmin, retention);
+app.use('/api/organizations', requireSuperAdmin, organizations);
+app.use('/api/campaigns', requireAdmin, campaigns);
+app.use('/api/brand-assets', requireAdmin, brandAssets);
+app.use('/api/reels', requireAdmin, reels);
+app.use('/api/exports', requireAdmin, exportsRouter);
+app.use('/api/public/campaigns', campaignInfo);
+app.use('/api/public', publicRoutes);
+app.use('/api/share', share);
+app.use('/api/oembed', oembedRouter);
+app.use('/api/verify-email', verifyEmail);
+app.use('/api/consent', consentRelease);
+app.use('/api/challenge', uploadChallenge);
+app.use('/api/files', filesRouter);
+app.use('/api/delete-my-data', deleteMyData);
+
+// The concurrency cap comes first so a 429 doesn't use up the single-use challenge.
+app.post('/api/upload', limitUploadsByIp, limitConcurrentUploads, requireChallenge, upload.single('video'), async (req, res) => {
   const { email } = req.body;
 
-  if (!email || !email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+  if (!isValidEmail(email)) {
     if (req.file) fs.unlinkSync(req.file.path);
     return res.status(400).json({ error: 'Valid email is required' });
   }
@@ -50,26 +89,64 @@ app.post('/api/upload', upload.single('video'), (req, res) => {
     return res.status(400).json({ error: 'Video file is required' });
   }
 
-  console.log(`Testimonial received from ${email}: ${req.file.filename}`);
+  let campaign;
+  let key;
+  try {
+    key = idempotencyKey(req);
+    campaign = resolveCampaign(req.body.campaign);
+    checkEmailLimit(email);
+    checkStorageQuota(req.file.size);
+  } catch (err) {
+    fs.unlinkSync(req.file.path);
+    throw err;
+  }
 
-  res.json({
-    success: true,
-    message: 'Video uploaded successfully',
-    filename: req.file.filename,
+  // Multipart fields are strings; the consent object arrives JSON-encoded.
+  let parsedConsent;
+  try {
+    parsedConsent = parseConsent(JSON.parse(req.body.consent || 'null'));
+  } catch (err) {
+    fs.unlinkSync(req.file.path);
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ error: 'consent must be JSON', code: 'consent_required' });
+    }
+    throw err;
+  }
+
+  const result = await ingestUpload({
     email,
+    filename: req.file.filename,
+    size: req.file.size,
+    mimeType: req.file.mimetype,
+    consent: {
+      ...parsedConsent,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      acceptedAt: new Date().toISOString(),
+    },
+    campaignId: campaign?.id ?? null,
+    organizationId: campaign?.organization_id ?? DEFAULT_ORGANIZATION_ID,
+    idempotencyKey: key,
   });
+  res.json(uploadResult(result, email));
 });
 
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     return res.status(400).json({ error: `Upload error: ${err.message}` });
   }
+  if (err instanceof HttpError) {
+    return res.status(err.status).set(err.headers).json({ error: err.message, ...err.details });
+  }
   if (err) {
-    return res.status(400).json({ error: err.message });
+    return res.status(err.status || 400).json({ error: err.message });
   }
   next();
 });
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  startJobs();
+  startWebhooks();
+  startRetention();
 });
@@ -0,0 +1,167 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import db from './db.js';
+import { HttpError, MAX_DURATION } from './shared.js';
+import { createTestimonial, toJson } from './testimonials.js';
+import { validateVideo, ProbeError } from './probe.js';
+import { recordConsent } from './consent.js';
+import { incomingDir } from './storage/index.js';
+import { quarantinePath, enqueueScan } from './quarantine.js';
+import { emitEvent } from './webhooks.js';
+import { getCampaign } from './campaigns.js';
+import { DEFAULT_ORGANIZATION_ID, getOrganization } from './organizations.js';
+
+// Content types an upload may declare, by the container probe.js must find
+const CONTAINERS = {
+  'video/webm': ['webm', 'matroska'],
+  'video/x-matroska': ['webm', 'matroska'],
+  'video/mp4': ['mp4', 'mov'],
+  'video/quicktime': ['mp4', 'mov'],
+};
+export const ACCEPTED_TYPES = Object.keys(CONTAINERS);
+
+// Stored files are named after what the probe found, not what the client said.
+const EXTENSIONS = { webm: '.webm', matroska: '.mkv', mp4: '.mp4', mov: '.mov' };
+
+// Recorders stop a little after the timer fires, so allow some slack.
+const DURATION_GRACE = 1;
+
+const IDEMPOTENCY_KEY_RE = /^[\w-]{8,128}$/;
+
+// Reads the Idempotency-Key header, or undefined when there is none.
+export function idempotencyKey(req) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return undefined;
+  if (!IDEMPOTENCY_KEY_RE.test(key)) {
+    throw new HttpError(400, 'Idempotency-Key must be 8–128 letters, digits, dashes or underscores');
+  }
+  return key;
+}
+
+export function findByIdempotencyKey(organizationId, email, key) {
+  if (!key) return null;
+  return db.prepare(`
+    SELECT * FROM testimonials WHERE organization_id = ? AND email = ? AND idempotency_key = ?
+  `).get(organizationId, email, key) ?? null;
+}
+
+// An earlier testimonial in the organization with the same content, sent from
+// the same address or to the same campaign
+function findDuplicate(organizationId, sha256, email, campaignId) {
+  return db.prepare(`
+    SELECT * FROM testimonials
+    WHERE organization_id = @organizationId AND sha256 = @sha256 AND (email = @email OR campaign_id = @campaignId)
+    ORDER BY created_at LIMIT 1
+  `).get({ organizationId, sha256, email, campaignId }) ?? null;
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Response body for a finished upload, fresh or duplicate. A duplicate of
+// someone else's submission to the same campaign only reveals its id.
+export function uploadResult({ testimonial, duplicate }, email) {
+  const body = {
+    success: true,
+    message: duplicate ? 'Video was already uploaded' : 'Video uploaded successfully',
+    id: testimonial.id,
+  };
+  if (testimonial.email === email) {
+    Object.assign(body, { filename: testimonial.filename, email: testimonial.email });
+  }
+  return { ...body, duplicate };
+}
+
+// Shared tail of every upload path, once the file sits in the incoming
+// directory. Files that fail validation, whose content doesn't match the
+// declared `mimeType`, or that run longer than the campaign (or MAX_DURATION)
+// allows are deleted and reported as 422 with a `code`;
+// accepted ones are quarantined and queued for the malware scan, which moves
+// them into storage once they pass. They are stored as `filename` with the
+// extension of the container found. `consent` comes from parseConsent plus
+// the request's ip, userAgent and acceptedAt.
+//
+// A file that repeats an earlier `idempotencyKey` from the same address, or
+// whose SHA-256 matches a testimonial from the same address or campaign, is
+// dropped and that testimonial returned with `duplicate: true`.
+export async function ingestUpload({
+  email, filename, size, mimeType, consent, campaignId = null, organizationId = DEFAULT_ORGANIZATION_ID, idempotencyKey = null,
+}) {
+  const filePath = path.join(incomingDir, filename);
+  // The organization may have been deleted while the upload was under way.
+  const organization = getOrganization(organizationId) ?? getOrganization(DEFAULT_ORGANIZATION_ID);
+
+  let info;
+  let sha256;
+  try {
+    let existing = findByIdempotencyKey(organization.id, email, idempotencyKey);
+    if (!existing) {
+      sha256 = await hashFile(filePath);
+      existing = findDuplicate(organization.id, sha256, email, campaignId);
+    }
+    if (existing) {
+      fs.rmSync(filePath, { force: true });
+      console.log(`Duplicate upload from ${email}: same as ${existing.id}`);
+      return { testimonial: existing, duplicate: true };
+    }
+
+    info = await validateVideo(filePath);
+    const declared = CONTAINERS[mimeType?.split(';')[0].trim()];
+    if (declared && !declared.includes(info.container)) {
+      throw new ProbeError('type_mismatch', `The file is ${info.mimeType}, not ${mimeType}`);
+    }
+    const maxDuration = (campaignId && getCampaign(campaignId)?.max_duration) || MAX_DURATION;
+    if (info.duration > maxDuration + DURATION_GRACE) {
+      throw new ProbeError('too_long', `Videos can be at most ${maxDuration} seconds long; this one is ${Math.round(info.duration)}`);
+    }
+  } catch (err) {
+    fs.rmSync(filePath, { force: true });
+    if (err instanceof ProbeError) {
+      console.log(`Rejected upload from ${email}: ${err.message}`);
+      throw new HttpError(422, err.message, { code: err.reason });
+    }
+    throw err;
+  }
+
+  const stored = `${path.basename(filename, path.extname(filename))}${EXTENSIONS[info.container]}`;
+  fs.renameSync(filePath, quarantinePath(stored));
+
+  let testimonial;
+  try {
+    testimonial = db.transaction(() => {
+      const row = createTestimonial({
+        email,
+        filename: stored,
+        size,
+        duration: info.duration,
+        width: info.width,
+        height: info.height,
+        tracks: info.tracks,
+        mimeType: info.mimeType,
+        campaignId,
+        sha256,
+        idempotencyKey,
+        scanStatus: 'pending',
+        organization,
+      });
+      recordConsent(row.id, consent);
+      emitEvent('testimonial.created', { testimonial: toJson(row) });
+      return row;
+    })();
+  } catch (err) {
+    fs.rmSync(quarantinePath(stored), { force: true });
+    // A concurrent request with the same Idempotency-Key got there first.
+    const winner = err.code === 'SQLITE_CONSTRAINT_UNIQUE' && findByIdempotencyKey(organization.id, email, idempotencyKey);
+    if (!winner) throw err;
+    console.log(`Duplicate upload from ${email}: same as ${winner.id}`);
+    return { testimonial: winner, duplicate: true };
+  }
+  console.log(`Testimonial received from ${email}: ${stored}`);
+  enqueueScan(testimonial.id);
+  return { testimonial, duplicate: false };
+}
@@ -0,0 +1,134 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from './db.js';
+
+// Background jobs persisted in SQLite and run in-process. Feature modules
+// register a handler per job type; a handler receives the job row and a
+// `setProgress(fraction)` callback and returns a JSON-serialisable result.
+// Jobs belong to an organization, by default their testimonial's.
+
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+
+const handlers = new Map();
+let running = 0;
+let started = false;
+
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export function jobJson(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    testimonialId: row.testimonial_id,
+    organizationId: row.organization_id,
+    status: row.status,
+    progress: row.progress,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+export function getJob(id) {
+  return db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+}
+
+export function listJobs({ type, status, testimonialId, organizationId } = {}) {
+  const clauses = [];
+  const params = {};
+  if (organizationId) { clauses.push('organization_id = @organizationId'); params.organizationId = organizationId; }
+  if (type) { clauses.push('type = @type'); params.type = String(type); }
+  if (status) { clauses.push('status = @status'); params.status = String(status); }
+  if (testimonialId) { clauses.push('testimonial_id = @testimonialId'); params.testimonialId = String(testimonialId); }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM jobs ${where} ORDER BY created_at DESC LIMIT 200`).all(params);
+}
+
+export function enqueueJob(type, { testimonialId = null, organizationId = null, payload = null } = {}) {
+  const row = {
+    id: crypto.randomUUID(),
+    type,
+    testimonial_id: testimonialId,
+    organization_id: organizationId
+      ?? db.prepare('SELECT organization_id FROM testimonials WHERE id = ?').pluck().get(testimonialId)
+      ?? null,
+    payload: payload ? JSON.stringify(payload) : null,
+    created_at: new Date().toISOString(),
+  };
+  db.prepare(`
+    INSERT INTO jobs (id, type, testimonial_id, organization_id, payload, created_at)
+    VALUES (@id, @type, @testimonial_id, @organization_id, @payload, @created_at)
+  `).run(row);
+  if (started) setImmediate(pump);
+  return getJob(row.id);
+}
+
+const claimNext = db.transaction(() => {
+  const types = [...handlers.keys()];
+  if (!types.length) return null;
+  const job = db.prepare(`
+    SELECT * FROM jobs WHERE status = 'queued' AND type IN (${types.map(() => '?').join(', ')})
+    ORDER BY created_at LIMIT 1
+  `).get(...types);
+  if (!job) return null;
+  db.prepare("UPDATE jobs SET status = 'running', progress = 0, started_at = ? WHERE id = ?")
+    .run(new Date().toISOString(), job.id);
+  return getJob(job.id);
+});
+
+async function runJob(job) {
+  const setProgress = (fraction) => {
+    const progress = Math.max(0, Math.min(1, fraction));
+    db.prepare('UPDATE jobs SET progress = ? WHERE id = ?').run(progress, job.id);
+  };
+
+  try {
+    const result = await handlers.get(job.type)(job, { setProgress });
+    db.prepare(`
+      UPDATE jobs SET status = 'succeeded', progress = 1, result = ?, error = NULL, finished_at = ? WHERE id = ?
+    `).run(result === undefined ? null : JSON.stringify(result), new Date().toISOString(), job.id);
+  } catch (err) {
+    console.error(`Job ${job.type} ${job.id} failed:`, err.message);
+    db.prepare("UPDATE jobs SET status = 'failed', error = ?, finished_at = ? WHERE id = ?")
+      .run(err.message, new Date().toISOString(), job.id);
+  }
+}
+
+function pump() {
+  while (running < CONCURRENCY) {
+    const job = claimNext();
+    if (!job) return;
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      pump();
+    });
+  }
+}
+
+// Called once the server is up. Jobs left running by a previous process are
+// started over from the beginning.
+export function startJobs() {
+  db.prepare("UPDATE jobs SET status = 'queued', progress = NULL, started_at = NULL WHERE status = 'running'").run();
+  started = true;
+  pump();
+}
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ items: listJobs({ ...req.query, organizationId: req.organization.id }).map(jobJson) });
+});
+
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || job.organization_id !== req.organization.id) return res.status(404).json({ error: 'Job not found' });
+  res.json(jobJson(job));
+});
+
+export default router;
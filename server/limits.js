@@ -0,0 +1,91 @@
+import db from './db.js';
+import { HttpError } from './shared.js';
+
+// Abuse protection for the upload endpoints. Counters are in memory, so they
+// reset on restart and are per process.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const UPLOADS_PER_IP = Number(process.env.UPLOAD_LIMIT_PER_IP) || 10;
+const UPLOADS_PER_EMAIL = Number(process.env.UPLOAD_LIMIT_PER_EMAIL) || 5;
+const MAX_CONCURRENT_UPLOADS = Number(process.env.MAX_CONCURRENT_UPLOADS) || 10;
+const STORAGE_QUOTA = (Number(process.env.STORAGE_QUOTA_MB) || 10240) * 1024 * 1024;
+
+// Sliding-window log: remembers the time of each hit per key.
+export function rateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, Math.min(windowMs, HOUR)).unref();
+
+  // Records a hit and returns 0, or the seconds until the next one is allowed.
+  return (key) => {
+    const now = Date.now();
+    const times = (hits.get(key) || []).filter((t) => t > now - windowMs);
+    if (times.length >= max) {
+      hits.set(key, times);
+      return Math.ceil((times[0] + windowMs - now) / 1000);
+    }
+    times.push(now);
+    hits.set(key, times);
+    return 0;
+  };
+}
+
+function tooManyRequests(message, retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  const wait = retryAfter < 90 ? `${retryAfter} seconds`
+    : minutes < 90 ? `${minutes} minutes`
+      : `${Math.ceil(minutes / 60)} hours`;
+  return new HttpError(429, `${message} Try again in ${wait}.`, { code: 'rate_limited' }, { 'Retry-After': String(retryAfter) });
+}
+
+const hitIp = rateLimiter({ windowMs: HOUR, max: UPLOADS_PER_IP });
+const hitEmail = rateLimiter({ windowMs: DAY, max: UPLOADS_PER_EMAIL });
+
+// Middleware for requests that start a new upload
+export function limitUploadsByIp(req, res, next) {
+  const retryAfter = hitIp(req.ip);
+  if (retryAfter) {
+    console.warn(`Upload rate limit hit by ${req.ip}`);
+    return next(tooManyRequests('Too many uploads from your network.', retryAfter));
+  }
+  next();
+}
+
+export function checkEmailLimit(email) {
+  const retryAfter = hitEmail(email.toLowerCase());
+  if (retryAfter) {
+    console.warn(`Upload rate limit hit for ${email}`);
+    throw tooManyRequests('Too many uploads for this email address.', retryAfter);
+  }
+}
+
+// Middleware for requests that stream upload bytes
+let inFlight = 0;
+export function limitConcurrentUploads(req, res, next) {
+  if (inFlight >= MAX_CONCURRENT_UPLOADS) {
+    console.warn(`Concurrent upload cap (${MAX_CONCURRENT_UPLOADS}) reached`);
+    return next(tooManyRequests('The server is busy receiving other uploads.', 5));
+  }
+  inFlight++;
+  res.once('close', () => { inFlight--; });
+  next();
+}
+
+// `reserved` covers bytes promised to uploads still in progress.
+export function checkStorageQuota(incoming, reserved = 0) {
+  const { stored } = db.prepare(`
+    SELECT (SELECT COALESCE(SUM(size), 0) FROM testimonials)
+         + (SELECT COALESCE(SUM(size), 0) FROM renditions) AS stored
+  `).get();
+  if (stored + reserved + incoming > STORAGE_QUOTA) {
+    console.warn(`Storage quota reached: ${stored + reserved} of ${STORAGE_QUOTA} bytes in use`);
+    throw new HttpError(507, 'The server is out of space for new videos. Please try again later.', { code: 'storage_quota' });
+  }
+}
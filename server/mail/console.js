@@ -0,0 +1,8 @@
+// Development transport: prints the message instead of sending it.
+export default function consoleTransport() {
+  return {
+    async send({ from, to, subject, text }) {
+      console.log(`\n── Mail ─────────────────────────\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n─────────────────────────────────\n`);
+    },
+  };
+}
@@ -0,0 +1,22 @@
+import nodemailer from 'nodemailer';
+import path from 'path';
+import fs from 'fs';
+import { dataDir } from '../shared.js';
+
+// Development transport: writes each message as an .eml file to MAIL_DIR
+// (server/data/mail by default) so it can be opened in a mail client.
+export default function fileTransport() {
+  const dir = process.env.MAIL_DIR || path.join(dataDir, 'mail');
+  fs.mkdirSync(dir, { recursive: true });
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async send(message) {
+      const { message: raw } = await builder.sendMail(message);
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+      fs.writeFileSync(file, raw);
+      console.log(`Mail to ${message.to} written to ${file}`);
+    },
+  };
+}
@@ -0,0 +1,31 @@
+import consoleTransport from './console.js';
+import fileTransport from './file.js';
+import smtpTransport from './smtp.js';
+
+// Outgoing mail goes through one transport chosen by MAIL_TRANSPORT.
+// A transport is a factory returning `{ send({ from, to, subject, text, html }) }`.
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'VideoVoice <no-reply@localhost>';
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transport = create();
+  }
+  return transport;
+}
+
+export function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
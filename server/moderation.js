@@ -0,0 +1,93 @@
+import express from 'express';
+import db from './db.js';
+import { HttpError } from './shared.js';
+import { getTestimonial, toJson } from './testimonials.js';
+import { emitEvent } from './webhooks.js';
+
+export const STATUSES = ['unverified', 'pending', 'approved', 'rejected', 'archived'];
+
+// Unverified submissions only leave that state through the email link.
+const TRANSITIONS = {
+  unverified: [],
+  pending: ['approved', 'rejected', 'archived'],
+  approved: ['rejected', 'archived'],
+  rejected: ['pending', 'approved', 'archived'],
+  archived: ['pending'],
+};
+
+export function changeStatus(id, to, { reviewer = null, note = null } = {}) {
+  return db.transaction(() => {
+    const row = getTestimonial(id);
+    if (!row) throw new HttpError(404, 'Testimonial not found');
+    if (!STATUSES.includes(to)) {
+      throw new HttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (!(TRANSITIONS[row.status] || []).includes(to)) {
+      throw new HttpError(409, `Cannot move a testimonial from ${row.status} to ${to}`);
+    }
+    // Rows from before scanning was added have no scan_status.
+    if (to === 'approved' && row.scan_status && row.scan_status !== 'clean') {
+      throw new HttpError(409, 'Only testimonials that passed the malware scan can be approved', { code: 'not_scanned' });
+    }
+
+    recordStatusChange(row, to, { reviewer, note });
+    return getTestimonial(id);
+  })();
+}
+
+// Statuses that notify webhook subscribers when entered
+const STATUS_EVENTS = {
+  approved: 'testimonial.approved',
+  rejected: 'testimonial.rejected',
+};
+
+// Writes the new status and its history entry; callers check the transition.
+export function recordStatusChange(row, to, { reviewer = null, note = null } = {}) {
+  db.prepare('UPDATE testimonials SET status = ? WHERE id = ?').run(to, row.id);
+  db.prepare(`
+    INSERT INTO testimonial_events (testimonial_id, from_status, to_status, reviewer, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(row.id, row.status, to, reviewer, note, new Date().toISOString());
+  if (STATUS_EVENTS[to]) {
+    emitEvent(STATUS_EVENTS[to], { testimonial: toJson(getTestimonial(row.id)), from: row.status, reviewer, note });
+  }
+}
+
+export function getHistory(id) {
+  return db.prepare(`
+    SELECT from_status, to_status, reviewer, note, created_at
+    FROM testimonial_events WHERE testimonial_id = ? ORDER BY id
+  `).all(id).map((e) => ({
+    from: e.from_status,
+    to: e.to_status,
+    reviewer: e.reviewer,
+    note: e.note,
+    createdAt: e.created_at,
+  }));
+}
+
+const router = express.Router();
+
+router.post('/:id/status', (req, res) => {
+  const { status, note, reviewer } = req.body ?? {};
+  for (const [key, value] of Object.entries({ note, reviewer })) {
+    if (value != null && typeof value !== 'string') {
+      return res.status(400).json({ error: `${key} must be a string` });
+    }
+  }
+
+  const row = changeStatus(req.params.id, status, {
+    reviewer: reviewer || req.get('X-Reviewer') || null,
+    note: note || null,
+  });
+  res.json(toJson(row));
+});
+
+router.get('/:id/history', (req, res) => {
+  if (!getTestimonial(req.params.id)) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.json({ items: getHistory(req.params.id) });
+});
+
+export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from './db.js';
+import { HttpError } from './shared.js';
+
+// Organizations let one deployment serve several business units. Each has its
+// own testimonials, campaigns, webhooks and jobs, a storage prefix for its
+// files, branding for its campaign pages, and admin API keys. Admin requests
+// are scoped to the organization of the key they use (see auth.js); uploads
+// belong to the organization of their campaign, or the default one without.
+
+export const DEFAULT_ORGANIZATION_ID = 'default';
+
+const SLUG_RE = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const KEY_PREFIX = 'vvk_';
+
+export function organizationJson(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    storagePrefix: row.storage_prefix,
+    branding: row.branding ? JSON.parse(row.branding) : null,
+    createdAt: row.created_at,
+  };
+}
+
+// What campaign pages show: the name plus any logo and colour.
+export function publicOrganizationJson(row) {
+  return { name: row.name, ...(row.branding ? JSON.parse(row.branding) : {}) };
+}
+
+export function getOrganization(id) {
+  return db.prepare('SELECT * FROM organizations WHERE id = ?').get(id);
+}
+
+export function getOrganizationBySlug(slug) {
+  return db.prepare('SELECT * FROM organizations WHERE slug = ?').get(slug);
+}
+
+// API keys are shown once, when created; only their SHA-256 is stored.
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function keyJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+// The organization an API key belongs to, or null for unknown and revoked keys.
+export function organizationForKey(key) {
+  if (!key.startsWith(KEY_PREFIX)) return null;
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashKey(key));
+  if (!row) return null;
+  db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+  return getOrganization(row.organization_id);
+}
+
+function parseBranding(input) {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new HttpError(400, 'branding must be an object or null');
+  }
+  const branding = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'logoUrl') {
+      if (typeof value !== 'string' || !/^https?:\/\//.test(value) || value.length > 2000) {
+        throw new HttpError(400, 'branding.logoUrl must be an http(s) URL');
+      }
+    } else if (key === 'primaryColor' || key === 'accentColor') {
+      if (typeof value !== 'string' || !COLOR_RE.test(value)) {
+        throw new HttpError(400, `branding.${key} must be a hex colour like #1a2b3c`);
+      }
+    } else {
+      throw new HttpError(400, `Unknown branding field "${key}"; use logoUrl, primaryColor or accentColor`);
+    }
+    branding[key] = value;
+  }
+  return JSON.stringify(branding);
+}
+
+// Maps a create (no `existing`) or partial update body to column values.
+function parseOrganization(body, existing = null) {
+  const input = body ?? {};
+  const fields = {};
+  const creating = !existing;
+
+  if (input.slug !== undefined || creating) {
+    if (typeof input.slug !== 'string' || !SLUG_RE.test(input.slug)) {
+      throw new HttpError(400, 'slug must be lowercase letters, digits and dashes');
+    }
+    fields.slug = input.slug;
+  }
+  if (input.name !== undefined || creating) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 200) {
+      throw new HttpError(400, 'name is required (at most 200 characters)');
+    }
+    fields.name = input.name.trim();
+  }
+  // Only affects files stored from now on; earlier ones keep their prefix.
+  if (input.storagePrefix !== undefined) {
+    if (typeof input.storagePrefix !== 'string' || (input.storagePrefix && !SLUG_RE.test(input.storagePrefix))) {
+      throw new HttpError(400, 'storagePrefix must be lowercase letters, digits and dashes');
+    }
+    fields.storage_prefix = input.storagePrefix;
+  }
+  if (input.branding !== undefined) fields.branding = parseBranding(input.branding);
+  return fields;
+}
+
+function saveOrConflict(fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw new HttpError(409, 'An organization with this slug already exists');
+    }
+    throw err;
+  }
+}
+
+// Routes for ADMIN_API_KEY holders, mounted at /api/organizations
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  const rows = db.prepare('SELECT * FROM organizations ORDER BY created_at').all();
+  res.json({ items: rows.map(organizationJson) });
+});
+
+router.post('/', (req, res) => {
+  const fields = parseOrganization(req.body);
+  const row = {
+    id: crypto.randomUUID(),
+    storage_prefix: fields.slug,
+    branding: null,
+    ...fields,
+    created_at: new Date().toISOString(),
+  };
+  saveOrConflict(() => db.prepare(`
+    INSERT INTO organizations (id, slug, name, storage_prefix, branding, created_at)
+    VALUES (@id, @slug, @name, @storage_prefix, @branding, @created_at)
+  `).run(row));
+  res.status(201).json(organizationJson(getOrganization(row.id)));
+});
+
+router.get('/:id', (req, res) => {
+  const row = getOrganization(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Organization not found' });
+  res.json(organizationJson(row));
+});
+
+router.patch('/:id', (req, res) => {
+  const row = getOrganization(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Organization not found' });
+  const fields = parseOrganization(req.body, row);
+  const columns = Object.keys(fields);
+  if (columns.length) {
+    saveOrConflict(() => db.prepare(`UPDATE organizations SET ${columns.map((c) => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...fields, id: row.id }));
+  }
+  res.json(organizationJson(getOrganization(row.id)));
+});
+
+// Removes the organization with its campaigns, webhooks and keys. Its
+// testimonials have to be deleted first.
+router.delete('/:id', (req, res) => {
+  const row = getOrganization(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Organization not found' });
+  if (row.id === DEFAULT_ORGANIZATION_ID) {
+    return res.status(409).json({ error: 'The default organization cannot be deleted' });
+  }
+  if (db.prepare('SELECT 1 FROM testimonials WHERE organization_id = ? LIMIT 1').get(row.id)) {
+    return res.status(409).json({ error: 'Delete the organization\'s testimonials first' });
+  }
+  db.prepare('DELETE FROM organizations WHERE id = ?').run(row.id);
+  res.status(204).end();
+});
+
+router.get('/:id/keys', (req, res) => {
+  if (!getOrganization(req.params.id)) return res.status(404).json({ error: 'Organization not found' });
+  const rows = db.prepare('SELECT * FROM api_keys WHERE organization_id = ? ORDER BY created_at').all(req.params.id);
+  res.json({ items: rows.map(keyJson) });
+});
+
+// The response is the only time the key itself is shown.
+router.post('/:id/keys', (req, res) => {
+  if (!getOrganization(req.params.id)) return res.status(404).json({ error: 'Organization not found' });
+  const { name = null } = req.body ?? {};
+  if (name !== null && (typeof name !== 'string' || name.length > 200)) {
+    return res.status(400).json({ error: 'name must be a string of at most 200 characters' });
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const row = {
+    id: crypto.randomUUID(),
+    organization_id: req.params.id,
+    name,
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+    created_at: new Date().toISOString(),
+  };
+  db.prepare(`
+    INSERT INTO api_keys (id, organization_id, name, key_hash, key_prefix, created_at)
+    VALUES (@id, @organization_id, @name, @key_hash, @key_prefix, @created_at)
+  `).run(row);
+  res.status(201).json({ ...keyJson(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(row.id)), key });
+});
+
+router.delete('/:id/keys/:keyId', (req, res) => {
+  const { changes } = db.prepare(`
+    UPDATE api_keys SET revoked_at = ? WHERE id = ? AND organization_id = ? AND revoked_at IS NULL
+  `).run(new Date().toISOString(), req.params.keyId, req.params.id);
+  if (!changes) return res.status(404).json({ error: 'Key not found' });
+  res.status(204).end();
+});
+
+export default router;
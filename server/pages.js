@@ -0,0 +1,39 @@
+// Small server-rendered pages for links people open from email or share.
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// `body` and `head` are trusted HTML; escape anything user-supplied before
+// passing it in.
+export function renderPage({ title, body, head = '' }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<meta name="robots" content="noindex" />
+<title>${escapeHtml(title)} · VideoVoice</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+    font-family: 'DM Sans', system-ui, sans-serif; color: #fff;
+    background: linear-gradient(155deg, #0a1628 0%, #162052 20%, #3b1760 45%, #7b1a5e 70%, #c2185b 95%); }
+  main { max-width: 440px; padding: 40px 32px; text-align: center; }
+  h1 { font-size: 28px; margin: 0 0 12px; }
+  p { color: rgba(255,255,255,0.7); line-height: 1.6; }
+  input { box-sizing: border-box; width: 100%; margin-top: 12px; padding: 14px 18px; border-radius: 12px;
+    border: 1px solid rgba(255,255,255,0.2); background: rgba(255,255,255,0.08); color: #fff; font: inherit; }
+  button.danger { background: linear-gradient(135deg, #e53935, #8e1b1b); }
+  button { margin-top: 20px; padding: 14px 28px; border: 0; border-radius: 999px; cursor: pointer;
+    font: inherit; font-weight: 600; color: #fff; background: linear-gradient(135deg, #c2185b, #7b1a5e); }
+</style>
+${head}
+</head>
+<body><main>${body}</main></body>
+</html>`;
+}
@@ -0,0 +1,469 @@
+import fs from 'fs/promises';
+
+// Minimal container parsers for the formats browsers record: EBML
+// (WebM/Matroska) and ISO-BMFF (MP4/MOV). They read only headers and block
+// headers, never frame payloads, so probing a large file stays cheap.
+
+export class ProbeError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+const malformed = (message) => new ProbeError('malformed_container', message);
+
+const WINDOW = 64 * 1024;
+const MAX_HEADER_ELEMENT = 16 * 1024 * 1024;
+
+// Positioned reads through a small window so sequential header walks don't
+// issue a syscall per element.
+class FileReader {
+  constructor(handle, size) {
+    this.handle = handle;
+    this.size = size;
+    this.start = 0;
+    this.buf = Buffer.alloc(0);
+  }
+
+  async bytes(pos, len) {
+    if (pos < 0 || len < 0 || pos + len > this.size) {
+      throw malformed('Unexpected end of file');
+    }
+    if (pos < this.start || pos + len > this.start + this.buf.length) {
+      const buf = Buffer.alloc(Math.min(Math.max(len, WINDOW), this.size - pos));
+      const { bytesRead } = await this.handle.read(buf, 0, buf.length, pos);
+      if (bytesRead < len) throw malformed('Unexpected end of file');
+      this.start = pos;
+      this.buf = buf.subarray(0, bytesRead);
+    }
+    return this.buf.subarray(pos - this.start, pos - this.start + len);
+  }
+}
+
+// ─── EBML (WebM / Matroska) ───────────────────────────────────
+
+const EBML = {
+  Header: 0x1a45dfa3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  BlockDuration: 0x9b,
+};
+
+// Children of Segment; seeing one of these ends an unknown-size Cluster.
+const SEGMENT_CHILDREN = new Set([
+  0x114d9b74, EBML.Info, EBML.Tracks, EBML.Cluster, 0x1c53bb6b, 0x1043a770, 0x1254c367, 0x1941a469,
+]);
+
+const TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+function readVint(buf, off, keepMarker) {
+  const first = buf[off];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  let mask = 0x80;
+  while (!(first & mask)) {
+    length++;
+    mask >>= 1;
+  }
+  if (off + length > buf.length) return null;
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let allOnes = (first & (mask - 1)) === mask - 1;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[off + i];
+    if (buf[off + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readUint(buf) {
+  let value = 0;
+  for (const byte of buf) value = value * 256 + byte;
+  return value;
+}
+
+function readFloat(buf) {
+  if (buf.length === 4) return buf.readFloatBE(0);
+  if (buf.length === 8) return buf.readDoubleBE(0);
+  return null;
+}
+
+function* ebmlChildren(buf) {
+  let off = 0;
+  while (off < buf.length) {
+    const id = readVint(buf, off, true);
+    const size = id && readVint(buf, off + id.length, false);
+    if (!id || !size || size.unknown) throw malformed('Invalid EBML element');
+    const start = off + id.length + size.length;
+    const end = start + size.value;
+    if (end > buf.length) throw malformed('EBML element overruns its parent');
+    yield { id: id.value, data: buf.subarray(start, end) };
+    off = end;
+  }
+}
+
+async function readEbmlHeader(reader, pos) {
+  const buf = await reader.bytes(pos, Math.min(12, reader.size - pos));
+  const id = readVint(buf, 0, true);
+  const size = id && readVint(buf, id.length, false);
+  if (!id || !size) throw malformed('Invalid EBML element header');
+  return {
+    id: id.value,
+    dataStart: pos + id.length + size.length,
+    size: size.unknown ? null : size.value,
+  };
+}
+
+function parseTracks(buf) {
+  const tracks = [];
+  for (const entry of ebmlChildren(buf)) {
+    if (entry.id !== EBML.TrackEntry) continue;
+    const track = { type: 'other', codec: null };
+    for (const field of ebmlChildren(entry.data)) {
+      if (field.id === EBML.TrackType) track.type = TRACK_TYPES[readUint(field.data)] || 'other';
+      else if (field.id === EBML.CodecID) track.codec = field.data.toString('ascii').replace(/\0+$/, '');
+      else if (field.id === EBML.Video) {
+        for (const prop of ebmlChildren(field.data)) {
+          if (prop.id === EBML.PixelWidth) track.width = readUint(prop.data);
+          else if (prop.id === EBML.PixelHeight) track.height = readUint(prop.data);
+        }
+      }
+    }
+    tracks.push(track);
+  }
+  return tracks;
+}
+
+async function scanCluster(reader, cluster, segmentEnd, timing) {
+  const end = cluster.size === null ? segmentEnd : Math.min(cluster.dataStart + cluster.size, segmentEnd);
+  let clusterTime = 0;
+
+  const noteBlock = async (pos, size, blockDuration = 0) => {
+    const head = await reader.bytes(pos, Math.min(size, 12, reader.size - pos));
+    const track = readVint(head, 0, false);
+    if (!track || head.length < track.length + 2) throw malformed('Invalid block header');
+    const time = clusterTime + head.readInt16BE(track.length);
+    timing.first = Math.min(timing.first, time);
+    timing.last = Math.max(timing.last, time + blockDuration);
+  };
+
+  let pos = cluster.dataStart;
+  while (end - pos >= 2) {
+    const child = await readEbmlHeader(reader, pos);
+    if (cluster.size === null && SEGMENT_CHILDREN.has(child.id)) return pos;
+    if (child.size === null) throw malformed('Unknown-size element inside a cluster');
+
+    if (child.id === EBML.Timecode) {
+      clusterTime = readUint(await reader.bytes(child.dataStart, child.size));
+    } else if (child.id === EBML.SimpleBlock) {
+      await noteBlock(child.dataStart, child.size);
+    } else if (child.id === EBML.BlockGroup) {
+      let block = null;
+      let blockDuration = 0;
+      for (let p = child.dataStart; p < child.dataStart + child.size;) {
+        const el = await readEbmlHeader(reader, p);
+        if (el.size === null) throw malformed('Unknown-size element inside a block group');
+        if (el.id === EBML.Block) block = el;
+        else if (el.id === EBML.BlockDuration) blockDuration = readUint(await reader.bytes(el.dataStart, el.size));
+        p = el.dataStart + el.size;
+      }
+      if (block) await noteBlock(block.dataStart, block.size, blockDuration);
+    }
+
+    // A recording cut off mid-block still counts up to its last block header.
+    if (child.dataStart + child.size > reader.size) return reader.size;
+    pos = child.dataStart + child.size;
+  }
+  return end;
+}
+
+async function probeEbml(reader) {
+  const header = await readEbmlHeader(reader, 0);
+  if (header.size === null) throw malformed('Invalid EBML header');
+  let docType = 'matroska';
+  for (const el of ebmlChildren(await reader.bytes(header.dataStart, header.size))) {
+    if (el.id === EBML.DocType) docType = el.data.toString('ascii').replace(/\0+$/, '');
+  }
+  if (docType !== 'webm' && docType !== 'matroska') {
+    throw new ProbeError('unsupported_container', `Unsupported EBML document type "${docType}"`);
+  }
+
+  let pos = header.dataStart + header.size;
+  let segment = null;
+  while (!segment && reader.size - pos >= 2) {
+    const el = await readEbmlHeader(reader, pos);
+    if (el.id === EBML.Segment) segment = el;
+    else if (el.size === null) throw malformed('Unknown-size element before the segment');
+    else pos = el.dataStart + el.size;
+  }
+  if (!segment) throw malformed('No segment found');
+
+  const segmentEnd = segment.size === null ? reader.size : Math.min(segment.dataStart + segment.size, reader.size);
+  let timecodeScale = 1000000;
+  let declaredDuration = null;
+  let tracks = null;
+  const timing = { first: Infinity, last: -Infinity };
+
+  pos = segment.dataStart;
+  while (segmentEnd - pos >= 2) {
+    const el = await readEbmlHeader(reader, pos);
+    if (el.id === EBML.Cluster) {
+      pos = await scanCluster(reader, el, segmentEnd, timing);
+      continue;
+    }
+    if (el.size === null) throw malformed('Unknown-size element outside a cluster');
+
+    if (el.id === EBML.Info || el.id === EBML.Tracks) {
+      if (el.size > MAX_HEADER_ELEMENT) throw malformed('Header element is implausibly large');
+      const buf = await reader.bytes(el.dataStart, el.size);
+      if (el.id === EBML.Tracks) {
+        tracks = parseTracks(buf);
+      } else {
+        for (const field of ebmlChildren(buf)) {
+          if (field.id === EBML.TimecodeScale) timecodeScale = readUint(field.data) || timecodeScale;
+          else if (field.id === EBML.Duration) declaredDuration = readFloat(field.data);
+        }
+      }
+    }
+    pos = el.dataStart + el.size;
+  }
+
+  if (!tracks) throw malformed('No track list found');
+
+  // MediaRecorder writes live WebM without a Duration, and a declared one
+  // can understate what is there; take the longer of it and the span of
+  // block timestamps.
+  const span = timing.last - timing.first;
+  let duration = Math.max(declaredDuration > 0 ? declaredDuration : 0, Number.isFinite(span) ? span : 0);
+  duration = duration > 0 ? (duration * timecodeScale) / 1e9 : null;
+
+  return {
+    container: docType,
+    mimeType: docType === 'webm' ? 'video/webm' : 'video/x-matroska',
+    duration,
+    ...dimensions(tracks),
+    tracks,
+  };
+}
+
+// ─── ISO-BMFF (MP4 / MOV) ─────────────────────────────────────
+
+const HANDLER_TYPES = { vide: 'video', soun: 'audio', text: 'subtitle', sbtl: 'subtitle', subt: 'subtitle' };
+
+function* boxes(buf) {
+  let off = 0;
+  while (buf.length - off >= 8) {
+    let size = buf.readUInt32BE(off);
+    const type = buf.toString('latin1', off + 4, off + 8);
+    let header = 8;
+    if (size === 1) {
+      if (buf.length - off < 16) throw malformed(`Truncated ${type} box`);
+      size = Number(buf.readBigUInt64BE(off + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = buf.length - off;
+    }
+    if (size < header || off + size > buf.length) throw malformed(`Truncated ${type} box`);
+    yield { type, data: buf.subarray(off + header, off + size) };
+    off += size;
+  }
+}
+
+function child(buf, ...path) {
+  let data = buf;
+  for (const type of path) {
+    const found = [...boxes(data)].find((b) => b.type === type);
+    if (!found) return null;
+    data = found.data;
+  }
+  return data;
+}
+
+function readVersioned(data, offsetV0, offsetV1) {
+  return data[0] === 1
+    ? Number(data.readBigUInt64BE(offsetV1))
+    : data.readUInt32BE(offsetV0);
+}
+
+// Header durations of all ones mean "unknown".
+function readDuration(data, offsetV0, offsetV1) {
+  const value = readVersioned(data, offsetV0, offsetV1);
+  return value === 0xffffffff || value >= Number.MAX_SAFE_INTEGER ? 0 : value;
+}
+
+function parseTrak(trak) {
+  const tkhd = child(trak, 'tkhd');
+  const mdhd = child(trak, 'mdia', 'mdhd');
+  const hdlr = child(trak, 'mdia', 'hdlr');
+  const stsd = child(trak, 'mdia', 'minf', 'stbl', 'stsd');
+  if (!tkhd || !mdhd || !hdlr || tkhd.length < 8) throw malformed('Incomplete track header');
+
+  const track = {
+    id: tkhd.readUInt32BE(tkhd[0] === 1 ? 20 : 12),
+    type: HANDLER_TYPES[hdlr.toString('latin1', 8, 12)] || 'other',
+    codec: stsd && stsd.length >= 16 ? stsd.toString('latin1', 12, 16) : null,
+    timescale: mdhd.readUInt32BE(mdhd[0] === 1 ? 20 : 12),
+    duration: readDuration(mdhd, 16, 24),
+  };
+  // tkhd ends with the presentation width and height as 16.16 fixed point.
+  if (track.type === 'video') {
+    track.width = tkhd.readUInt16BE(tkhd.length - 8);
+    track.height = tkhd.readUInt16BE(tkhd.length - 4);
+  }
+  return track;
+}
+
+// Sums sample durations of one movie fragment into `ends` (track id → end
+// time in the track's timescale).
+function scanFragment(moof, defaults, ends) {
+  for (const traf of boxes(moof)) {
+    if (traf.type !== 'traf') continue;
+    const tfhd = child(traf.data, 'tfhd');
+    if (!tfhd) throw malformed('Track fragment without header');
+    const trackId = tfhd.readUInt32BE(4);
+    const flags = tfhd.readUIntBE(1, 3);
+    let defaultDuration = defaults.get(trackId) || 0;
+    let off = 8;
+    if (flags & 0x01) off += 8;
+    if (flags & 0x02) off += 4;
+    if (flags & 0x08) defaultDuration = tfhd.readUInt32BE(off);
+
+    const tfdt = child(traf.data, 'tfdt');
+    let time = tfdt ? readVersioned(tfdt, 4, 4) : (ends.get(trackId) || 0);
+
+    for (const trun of boxes(traf.data)) {
+      if (trun.type !== 'trun') continue;
+      const data = trun.data;
+      const runFlags = data.readUIntBE(1, 3);
+      const count = data.readUInt32BE(4);
+      let p = 8 + (runFlags & 0x01 ? 4 : 0) + (runFlags & 0x04 ? 4 : 0);
+      const stride = [0x100, 0x200, 0x400, 0x800].filter((f) => runFlags & f).length * 4;
+      if (p + count * stride > data.length) throw malformed('Truncated track run');
+      for (let i = 0; i < count; i++, p += stride) {
+        time += runFlags & 0x100 ? data.readUInt32BE(p) : defaultDuration;
+      }
+    }
+    ends.set(trackId, Math.max(ends.get(trackId) || 0, time));
+  }
+}
+
+async function probeIsoBmff(reader, brand) {
+  let moov = null;
+  const fragmentEnds = new Map();
+  const moofs = [];
+
+  let pos = 0;
+  while (reader.size - pos >= 8) {
+    const head = await reader.bytes(pos, Math.min(16, reader.size - pos));
+    let size = head.readUInt32BE(0);
+    const type = head.toString('latin1', 4, 8);
+    let header = 8;
+    if (size === 1) {
+      if (head.length < 16) throw malformed(`Truncated ${type} box`);
+      size = Number(head.readBigUInt64BE(8));
+      header = 16;
+    } else if (size === 0) {
+      size = reader.size - pos;
+    }
+    if (size < header) throw malformed(`Invalid ${type} box size`);
+
+    if (type === 'moov' || type === 'moof') {
+      if (size > MAX_HEADER_ELEMENT) throw malformed(`${type} box is implausibly large`);
+      const data = await reader.bytes(pos + header, size - header);
+      if (type === 'moov') moov = data;
+      else moofs.push(data);
+    }
+    pos += size;
+  }
+  if (!moov) throw malformed('No moov box found');
+
+  const mvhd = child(moov, 'mvhd');
+  if (!mvhd) throw malformed('No movie header found');
+  const timescale = mvhd.readUInt32BE(mvhd[0] === 1 ? 20 : 12);
+  const traks = [...boxes(moov)].filter((b) => b.type === 'trak').map((b) => parseTrak(b.data));
+
+  // Fragmented recordings (e.g. Safari's MediaRecorder) carry no overall
+  // duration, so also add up the sample durations in every fragment. The
+  // headers can understate what is there; the longest of all of them wins.
+  const defaults = new Map();
+  const mvex = child(moov, 'mvex');
+  for (const trex of mvex ? boxes(mvex) : []) {
+    if (trex.type === 'trex') defaults.set(trex.data.readUInt32BE(4), trex.data.readUInt32BE(12));
+  }
+  for (const moof of moofs) scanFragment(moof, defaults, fragmentEnds);
+
+  const mehd = child(moov, 'mvex', 'mehd');
+  const candidates = traks.flatMap((t) => (t.timescale ? [t.duration / t.timescale, (fragmentEnds.get(t.id) || 0) / t.timescale] : []));
+  if (timescale) candidates.push(readDuration(mvhd, 16, 24) / timescale);
+  if (timescale && mehd) candidates.push(readDuration(mehd, 4, 4) / timescale);
+  const duration = Math.max(0, ...candidates) || null;
+
+  const quicktime = brand === 'qt  ';
+  const tracks = traks.map(({ type, codec, width, height }) => (type === 'video' ? { type, codec, width, height } : { type, codec }));
+  return {
+    container: quicktime ? 'mov' : 'mp4',
+    mimeType: quicktime ? 'video/quicktime' : 'video/mp4',
+    duration,
+    ...dimensions(tracks),
+    tracks,
+  };
+}
+
+// ─── Entry points ─────────────────────────────────────────────
+
+// Resolution of the first video track, or nulls when the container omits it
+function dimensions(tracks) {
+  const video = tracks.find((t) => t.type === 'video' && t.width > 0 && t.height > 0);
+  return { width: video?.width ?? null, height: video?.height ?? null };
+}
+
+export async function probeVideo(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const reader = new FileReader(handle, size);
+    if (size < 12) throw new ProbeError('unrecognized_container', 'File is too small to be a video');
+
+    const magic = await reader.bytes(0, 12);
+    try {
+      if (magic.readUInt32BE(0) === EBML.Header) return await probeEbml(reader);
+      if (magic.toString('latin1', 4, 8) === 'ftyp') return await probeIsoBmff(reader, magic.toString('latin1', 8, 12));
+    } catch (err) {
+      if (err instanceof ProbeError) throw err;
+      // Buffer range errors from corrupt length fields
+      throw malformed(err.message);
+    }
+    throw new ProbeError('unrecognized_container', 'File is not a WebM or MP4 video');
+  } finally {
+    await handle.close();
+  }
+}
+
+// Probes `filePath` and throws a ProbeError unless it is a well-formed
+// container with a duration and at least one video track.
+export async function validateVideo(filePath) {
+  const info = await probeVideo(filePath);
+  if (!(info.duration > 0)) {
+    throw new ProbeError('missing_duration', 'Could not determine the video duration');
+  }
+  if (!info.tracks.some((t) => t.type === 'video')) {
+    throw new ProbeError('no_video_track', 'File contains no video track');
+  }
+  return info;
+}
@@ -0,0 +1,64 @@
+import express from 'express';
+import db from './db.js';
+import { PUBLIC_URL } from './shared.js';
+import { getTestimonial, publicJson } from './testimonials.js';
+import { getCampaignBySlug } from './campaigns.js';
+import { getRendition } from './renditions.js';
+import { getOrganization, publicOrganizationJson } from './organizations.js';
+
+// Unauthenticated, read-only routes. Nothing but approved testimonials
+// may ever be returned from here.
+const router = express.Router();
+
+const MAX_GALLERY_PAGE_SIZE = 50;
+
+router.get('/testimonials/:id', (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row || row.status !== 'approved') {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.json(publicJson(row));
+});
+
+// Feeds the embeddable gallery (public/widget.js), which runs on other
+// sites, so any origin may read it.
+router.get('/campaigns/:slug/testimonials', (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  const campaign = getCampaignBySlug(req.params.slug);
+  if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_GALLERY_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 12));
+  const where = "WHERE campaign_id = @campaignId AND status = 'approved'";
+  const params = { campaignId: campaign.id };
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM testimonials ${where}`).get(params).n;
+  const rows = db.prepare(`
+    SELECT * FROM testimonials ${where}
+    ORDER BY created_at DESC, id ASC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+  const items = rows.map((row) => {
+    const videoUrl = `${PUBLIC_URL}/api/testimonials/${row.id}/video`;
+    return {
+      ...publicJson(row),
+      videoUrl,
+      posterUrl: getRendition(row.id, 'poster') ? `${videoUrl}?rendition=poster` : null,
+    };
+  });
+
+  res.set('Cache-Control', 'public, max-age=60').json({
+    campaign: {
+      slug: campaign.slug,
+      title: campaign.title,
+      organization: publicOrganizationJson(getOrganization(campaign.organization_id)),
+    },
+    items,
+    page,
+    pageSize,
+    total,
+  });
+});
+
+export default router;
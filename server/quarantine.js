@@ -0,0 +1,87 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import db from './db.js';
+import { registerJobHandler, enqueueJob, jobJson } from './jobs.js';
+import { getTestimonial, originalKey } from './testimonials.js';
+import { recordStatusChange } from './moderation.js';
+import { enqueueTranscode } from './transcode.js';
+import { sendVerificationEmail } from './verification.js';
+import { quarantineDir, putFile } from './storage/index.js';
+import scanner from './scan/index.js';
+
+// New uploads sit in the quarantine directory with scan_status "pending"
+// until a scan job has checked them. A clean file moves into storage, and only
+// then is it transcoded and its submitter asked to confirm. An infected file
+// is deleted and its testimonial rejected. When the scanner or the move into
+// storage fails, the file stays put with scan_status "error" until the scan
+// is retried.
+
+export function quarantinePath(filename) {
+  return path.join(quarantineDir, filename);
+}
+
+function recordScan(id, status, signature = null) {
+  db.prepare(`
+    UPDATE testimonials SET scan_status = ?, scan_engine = ?, scan_signature = ?, scanned_at = ? WHERE id = ?
+  `).run(status, scanner.name, signature, new Date().toISOString(), id);
+}
+
+registerJobHandler('scan', async (job) => {
+  const row = getTestimonial(job.testimonial_id);
+  if (!row) throw new Error('Testimonial no longer exists');
+  const file = quarantinePath(row.filename);
+
+  let result;
+  try {
+    result = await scanner.scanFile(file);
+  } catch (err) {
+    recordScan(row.id, 'error');
+    throw err;
+  }
+
+  if (!result.clean) {
+    fs.rmSync(file, { force: true });
+    db.transaction(() => {
+      recordScan(row.id, 'infected', result.signature);
+      recordStatusChange(getTestimonial(row.id), 'rejected', {
+        reviewer: 'malware scan',
+        note: `Infected: ${result.signature}`,
+      });
+    })();
+    console.log(`Deleted infected upload from ${row.email}: ${result.signature}`);
+    return { clean: false, signature: result.signature };
+  }
+
+  // If storage is down the file stays in quarantine, retryable like a failed scan.
+  try {
+    await putFile(originalKey(row), file, { contentType: row.mime_type });
+  } catch (err) {
+    recordScan(row.id, 'error');
+    throw err;
+  }
+  recordScan(row.id, 'clean');
+  enqueueTranscode(row.id);
+  sendVerificationEmail(getTestimonial(row.id)).catch((err) => {
+    console.error(`Could not send verification email to ${row.email}:`, err.message);
+  });
+  return { clean: true };
+});
+
+export function enqueueScan(testimonialId) {
+  return enqueueJob('scan', { testimonialId });
+}
+
+const router = express.Router();
+
+router.post('/:id/scan', (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Testimonial not found' });
+  if (row.scan_status !== 'error' || !fs.existsSync(quarantinePath(row.filename))) {
+    return res.status(409).json({ error: 'Only a testimonial whose scan failed can be scanned again' });
+  }
+  db.prepare("UPDATE testimonials SET scan_status = 'pending' WHERE id = ?").run(row.id);
+  res.status(202).json(jobJson(enqueueScan(row.id)));
+});
+
+export default router;
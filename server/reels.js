@@ -0,0 +1,327 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import db from './db.js';
+import { HttpError } from './shared.js';
+import { getTestimonial, originalKey } from './testimonials.js';
+import { registerJobHandler, enqueueJob, getJob } from './jobs.js';
+import storage, { putFile, localCopy, prefixedKey, workDir, SIGNED_URL_TTL } from './storage/index.js';
+import { runFfmpeg } from './ffmpeg.js';
+
+// Highlight reels: approved testimonials cut to optional in/out points and
+// joined, in order, into one MP4. The `reel` job scales every clip to the
+// reel's frame size at 30 fps, brings each to the same loudness, crossfades
+// between them and writes one chapter per clip. Its progress shows on the
+// reel. Deleting a testimonial deletes the reels it appears in.
+
+const RESOLUTIONS = { 480: [854, 480], 720: [1280, 720], 1080: [1920, 1080] };
+const MAX_CLIPS = 30;
+const MIN_CLIP_LENGTH = 1;
+const MAX_CROSSFADE = 2;
+const DEFAULT_CROSSFADE = 0.5;
+const MAX_TEXT_LENGTH = 120;
+const FPS = 30;
+// EBU R128 target shared by every clip
+const LOUDNESS = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+export function reelKey(row) {
+  return prefixedKey(row.storage_prefix, `reels/${row.id}.mp4`);
+}
+
+export function getReel(id) {
+  return db.prepare('SELECT * FROM reels WHERE id = ?').get(id);
+}
+
+function getClips(reelId) {
+  return db.prepare('SELECT * FROM reel_clips WHERE reel_id = ? ORDER BY position').all(reelId);
+}
+
+export function reelJson(row) {
+  const job = row.job_id ? getJob(row.job_id) : null;
+  return {
+    id: row.id,
+    title: row.title,
+    width: row.width,
+    height: row.height,
+    crossfade: row.crossfade,
+    clips: getClips(row.id).map((c) => ({
+      testimonialId: c.testimonial_id,
+      in: c.in_point,
+      out: c.out_point,
+      title: c.title,
+    })),
+    status: job?.status ?? null,
+    progress: job?.progress ?? null,
+    error: job?.error ?? null,
+    jobId: row.job_id,
+    duration: row.duration,
+    size: row.size,
+    chapters: row.chapters ? JSON.parse(row.chapters) : null,
+    createdAt: row.created_at,
+  };
+}
+
+// Reels that include testimonial `id`, for deletion.js
+export function reelsWith(testimonialId) {
+  return db.prepare(`
+    SELECT * FROM reels WHERE id IN (SELECT reel_id FROM reel_clips WHERE testimonial_id = ?)
+  `).all(testimonialId);
+}
+
+function optionalText(value, key) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_TEXT_LENGTH) {
+    throw new HttpError(400, `${key} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return value.trim() || null;
+}
+
+function parseClips(input, organizationId) {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_CLIPS) {
+    throw new HttpError(400, `clips must be a list of 1 to ${MAX_CLIPS} { testimonialId, in?, out?, title? }`);
+  }
+  return input.map((clip, i) => {
+    const where = `clips[${i}]`;
+    if (!clip || typeof clip !== 'object') throw new HttpError(400, `${where} must be an object`);
+    const row = typeof clip.testimonialId === 'string' ? getTestimonial(clip.testimonialId) : null;
+    if (!row || row.organization_id !== organizationId) {
+      throw new HttpError(400, `${where}: testimonial not found`);
+    }
+    if (row.status !== 'approved') {
+      throw new HttpError(409, `${where}: only approved testimonials can go in a reel`, { code: 'not_approved' });
+    }
+    for (const key of ['in', 'out']) {
+      if (clip[key] !== undefined && !(typeof clip[key] === 'number' && clip[key] >= 0)) {
+        throw new HttpError(400, `${where}.${key} must be a number of seconds`);
+      }
+    }
+    const start = clip.in ?? 0;
+    const end = Math.min(clip.out ?? row.duration, row.duration);
+    if (end - start < MIN_CLIP_LENGTH) {
+      throw new HttpError(400, `${where} must be at least ${MIN_CLIP_LENGTH} second long between in and out`);
+    }
+    return { testimonial: row, in: start, out: end, title: optionalText(clip.title, `${where}.title`) };
+  });
+}
+
+function parseReel(input, organizationId) {
+  const clips = parseClips(input.clips, organizationId);
+  const height = input.height ?? 720;
+  if (!RESOLUTIONS[height]) {
+    throw new HttpError(400, `height must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`);
+  }
+  const crossfade = input.crossfade ?? DEFAULT_CROSSFADE;
+  if (typeof crossfade !== 'number' || crossfade < 0 || crossfade > MAX_CROSSFADE) {
+    throw new HttpError(400, `crossfade must be between 0 and ${MAX_CROSSFADE} seconds`);
+  }
+  const shortest = Math.min(...clips.map((c) => c.out - c.in));
+  if (clips.length > 1 && crossfade > shortest / 2) {
+    throw new HttpError(400, 'crossfade must be at most half the shortest clip');
+  }
+  return { title: optionalText(input.title, 'title'), clips, width: RESOLUTIONS[height][0], height, crossfade };
+}
+
+function enqueueReel(reel) {
+  const job = enqueueJob('reel', { organizationId: reel.organization_id, payload: { reelId: reel.id } });
+  db.prepare('UPDATE reels SET job_id = ? WHERE id = ?').run(job.id, reel.id);
+  return getReel(reel.id);
+}
+
+// ─── Render ───────────────────────────────────────────────────
+
+// FFMETADATA values escape =, ;, #, \ and newlines with a backslash.
+function metadataValue(value) {
+  return String(value).replace(/[=;#\\\n]/g, '\\$&');
+}
+
+// Where each clip starts in the reel: every crossfade overlaps the clip
+// before it by `crossfade` seconds.
+function timeline(clips, crossfade) {
+  let at = 0;
+  return clips.map((clip, i) => {
+    const length = clip.out_point - clip.in_point;
+    const start = at;
+    at += length - (i < clips.length - 1 ? crossfade : 0);
+    return { start, end: at, length };
+  });
+}
+
+async function render(reel, dir, setProgress) {
+  const clips = getClips(reel.id);
+  const crossfade = clips.length > 1 ? reel.crossfade : 0;
+  const times = timeline(clips, crossfade);
+  const duration = times[times.length - 1].end;
+  const { width, height } = reel;
+
+  // A testimonial may have been withdrawn since the reel was put together.
+  const testimonials = clips.map((clip) => {
+    const testimonial = getTestimonial(clip.testimonial_id);
+    if (!testimonial) throw new Error(`Testimonial ${clip.testimonial_id} no longer exists`);
+    if (testimonial.status !== 'approved') throw new Error(`Testimonial ${clip.testimonial_id} is no longer approved`);
+    return testimonial;
+  });
+
+  const inputs = [];
+  const filters = [];
+  const chapters = [];
+  for (const [i, clip] of clips.entries()) {
+    const testimonial = testimonials[i];
+    const source = await localCopy(originalKey(testimonial), dir);
+    inputs.push('-ss', String(clip.in_point), '-t', String(times[i].length), '-i', source);
+
+    const tracks = testimonial.tracks ? JSON.parse(testimonial.tracks) : [];
+    const hasAudio = tracks.length ? tracks.some((t) => t.type === 'audio') : true;
+    filters.push(
+      `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,`
+        + `setsar=1,fps=${FPS},format=yuv420p,settb=AVTB[v${i}]`,
+      hasAudio
+        ? `[${i}:a]${LOUDNESS},aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]`
+        : `anullsrc=r=48000:cl=stereo,atrim=duration=${times[i].length}[a${i}]`,
+    );
+    chapters.push({
+      title: clip.title || testimonial.caption || `Testimonial ${i + 1}`,
+      start: times[i].start,
+      end: times[i].end,
+      testimonialId: clip.testimonial_id,
+    });
+  }
+
+  let video = '[v0]';
+  let audio = '[a0]';
+  for (let i = 1; i < clips.length; i++) {
+    const last = i === clips.length - 1;
+    const v = last ? '[v]' : `[xv${i}]`;
+    const a = last ? '[a]' : `[xa${i}]`;
+    if (crossfade > 0) {
+      filters.push(
+        `${video}[v${i}]xfade=transition=fade:duration=${crossfade}:offset=${times[i].start.toFixed(3)}${v}`,
+        `${audio}[a${i}]acrossfade=d=${crossfade}${a}`,
+      );
+    } else {
+      filters.push(`${video}${audio}[v${i}][a${i}]concat=n=2:v=1:a=1${v}${a}`);
+    }
+    video = v;
+    audio = a;
+  }
+  if (clips.length === 1) filters.push('[v0]null[v]', '[a0]anull[a]');
+
+  const metadata = path.join(dir, 'chapters.txt');
+  fs.writeFileSync(metadata, [
+    ';FFMETADATA1',
+    ...(reel.title ? [`title=${metadataValue(reel.title)}`] : []),
+    ...chapters.flatMap((c) => [
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(c.start * 1000)}`,
+      `END=${Math.round(c.end * 1000)}`,
+      `title=${metadataValue(c.title)}`,
+    ]),
+    '',
+  ].join('\n'));
+
+  const output = path.join(dir, 'reel.mp4');
+  await runFfmpeg([
+    ...inputs,
+    '-f', 'ffmetadata', '-i', metadata,
+    '-filter_complex', filters.join(';'),
+    '-map', '[v]', '-map', '[a]',
+    '-map_metadata', String(clips.length), '-map_chapters', String(clips.length),
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '21', '-pix_fmt', 'yuv420p', '-profile:v', 'high',
+    '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+    '-movflags', '+faststart',
+    output,
+  ], { duration, onProgress: (p) => setProgress(p * 0.95) });
+
+  const { size } = fs.statSync(output);
+  await putFile(reelKey(reel), output, { contentType: 'video/mp4' });
+  const { changes } = db.prepare('UPDATE reels SET size = ?, duration = ?, chapters = ? WHERE id = ?')
+    .run(size, duration, JSON.stringify(chapters), reel.id);
+  // Deleted while rendering, e.g. because one of its testimonials was
+  if (!changes) await storage.delete(reelKey(reel));
+  return { reelId: reel.id, duration, size, chapters };
+}
+
+registerJobHandler('reel', async (job, { setProgress }) => {
+  const reel = getReel(JSON.parse(job.payload).reelId);
+  if (!reel) throw new Error('Reel no longer exists');
+
+  const dir = fs.mkdtempSync(path.join(workDir, `reel-${reel.id}-`));
+  try {
+    return await render(reel, dir, setProgress);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Mounted at /api/reels behind requireAdmin
+const router = express.Router();
+
+router.param('id', (req, res, next, id) => {
+  if (getReel(id)?.organization_id !== req.organization.id) {
+    return res.status(404).json({ error: 'Reel not found' });
+  }
+  next();
+});
+
+router.get('/', (req, res) => {
+  const rows = db.prepare('SELECT * FROM reels WHERE organization_id = ? ORDER BY created_at DESC').all(req.organization.id);
+  res.json({ items: rows.map(reelJson) });
+});
+
+// { title?, clips: [{ testimonialId, in?, out?, title? }], height?, crossfade? }
+router.post('/', (req, res) => {
+  const organization = req.organization;
+  const input = parseReel(req.body ?? {}, organization.id);
+  const reel = {
+    id: crypto.randomUUID(),
+    organization_id: organization.id,
+    title: input.title,
+    width: input.width,
+    height: input.height,
+    crossfade: input.crossfade,
+    storage_prefix: organization.storage_prefix,
+    created_at: new Date().toISOString(),
+  };
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO reels (id, organization_id, title, width, height, crossfade, storage_prefix, created_at)
+      VALUES (@id, @organization_id, @title, @width, @height, @crossfade, @storage_prefix, @created_at)
+    `).run(reel);
+    const insertClip = db.prepare(`
+      INSERT INTO reel_clips (reel_id, position, testimonial_id, in_point, out_point, title) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    input.clips.forEach((c, i) => insertClip.run(reel.id, i, c.testimonial.id, c.in, c.out, c.title));
+  })();
+  res.status(202).json(reelJson(enqueueReel(reel)));
+});
+
+router.get('/:id', (req, res) => {
+  res.json(reelJson(getReel(req.params.id)));
+});
+
+// Renders the reel again, e.g. after a failure
+router.post('/:id/render', (req, res) => {
+  const reel = getReel(req.params.id);
+  const status = reel.job_id && getJob(reel.job_id)?.status;
+  if (status === 'queued' || status === 'running') {
+    return res.status(409).json({ error: 'The reel is already being rendered' });
+  }
+  res.status(202).json(reelJson(enqueueReel(reel)));
+});
+
+router.get('/:id/download', async (req, res) => {
+  const reel = getReel(req.params.id);
+  if (!reel.size) return res.status(409).json({ error: 'The reel has not been rendered yet', code: 'not_ready' });
+  const url = await storage.signedUrl(reelKey(reel), { expiresIn: SIGNED_URL_TTL });
+  res.json({ url, expiresIn: SIGNED_URL_TTL });
+});
+
+router.delete('/:id', async (req, res) => {
+  const reel = getReel(req.params.id);
+  db.prepare('DELETE FROM reels WHERE id = ?').run(reel.id);
+  await storage.delete(reelKey(reel));
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import db from './db.js';
+import { prefixedKey } from './storage/index.js';
+
+// Files derived from a testimonial (transcodes, posters, …) are stored under
+// renditions/<testimonial id>/ and indexed in the renditions table.
+
+// `testimonial` is its row, or at least { id, storage_prefix }.
+export function renditionKey(testimonial, filename) {
+  return prefixedKey(testimonial.storage_prefix, `renditions/${testimonial.id}/${filename}`);
+}
+
+export function renditionJson(row) {
+  return {
+    kind: row.kind,
+    filename: row.filename,
+    mimeType: row.mime_type,
+    size: row.size,
+    height: row.height,
+    createdAt: row.created_at,
+  };
+}
+
+export function saveRendition(testimonialId, { kind, filename, mimeType, size, height = null }) {
+  db.prepare(`
+    INSERT INTO renditions (testimonial_id, kind, filename, mime_type, size, height, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (testimonial_id, kind) DO UPDATE SET
+      filename = excluded.filename, mime_type = excluded.mime_type, size = excluded.size,
+      height = excluded.height, created_at = excluded.created_at
+  `).run(testimonialId, kind, filename, mimeType, size, height, new Date().toISOString());
+  return getRendition(testimonialId, kind);
+}
+
+export function getRendition(testimonialId, kind) {
+  return db.prepare('SELECT * FROM renditions WHERE testimonial_id = ? AND kind = ?').get(testimonialId, kind);
+}
+
+export function listRenditions(testimonialId) {
+  return db.prepare('SELECT * FROM renditions WHERE testimonial_id = ? ORDER BY kind').all(testimonialId);
+}
@@ -0,0 +1,268 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { uploadsDir, MAX_FILE_SIZE, isValidEmail, uniqueFilename, HttpError } from './shared.js';
+import { ingestUpload, ACCEPTED_TYPES, idempotencyKey, findByIdempotencyKey, uploadResult } from './ingest.js';
+import { incomingDir } from './storage/index.js';
+import { parseConsent } from './consent.js';
+import { resolveCampaign } from './campaigns.js';
+import { DEFAULT_ORGANIZATION_ID } from './organizations.js';
+import { requireChallenge } from './challenge.js';
+import { limitUploadsByIp, checkEmailLimit, limitConcurrentUploads, checkStorageQuota } from './limits.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// Resumable upload protocol (modelled on tus):
+//   POST   /api/uploads               create a session → { id, offset, token }
+//   HEAD   /api/uploads/:id           current offset in the Upload-Offset header
+//   PATCH  /api/uploads/:id           append bytes at Upload-Offset
+//   POST   /api/uploads/:id/complete  finalize once every byte has arrived
+//   DELETE /api/uploads/:id           abandon the session
+// Session metadata and partial data live next to each other in
+// uploads/.partial so sessions survive a server restart.
+//
+// Creating a session returns a signed token bound to its id, size and content
+// type, which every later request must send as Upload-Token. It expires
+// after two hours. Completing the session uses it up, and the server only
+// creates the testimonial once it has checked the file.
+
+const partialsDir = path.join(uploadsDir, '.partial');
+if (!fs.existsSync(partialsDir)) {
+  fs.mkdirSync(partialsDir, { recursive: true });
+}
+
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+const TOKEN_PURPOSE = 'upload';
+const TOKEN_TTL = 2 * 60 * 60;
+const ID_RE = /^[0-9a-f-]{36}$/;
+
+// Sessions with a PATCH currently streaming into them
+const active = new Set();
+
+function sessionPaths(id) {
+  return {
+    meta: path.join(partialsDir, `${id}.json`),
+    data: path.join(partialsDir, `${id}.part`),
+  };
+}
+
+function loadSession(id) {
+  if (!ID_RE.test(id)) return null;
+  const { meta, data } = sessionPaths(id);
+  if (!fs.existsSync(meta)) return null;
+  const session = JSON.parse(fs.readFileSync(meta, 'utf8'));
+  session.offset = fs.existsSync(data) ? fs.statSync(data).size : 0;
+  return session;
+}
+
+function removeSession(id) {
+  const { meta, data } = sessionPaths(id);
+  fs.rmSync(meta, { force: true });
+  fs.rmSync(data, { force: true });
+}
+
+// Bytes promised to sessions that haven't completed yet
+function reservedBytes() {
+  let total = 0;
+  for (const name of fs.readdirSync(partialsDir)) {
+    if (!name.endsWith('.json')) continue;
+    total += loadSession(name.slice(0, -5))?.size || 0;
+  }
+  return total;
+}
+
+function sweepExpiredSessions() {
+  const now = Date.now();
+  for (const name of fs.readdirSync(partialsDir)) {
+    if (!name.endsWith('.json')) continue;
+    const id = name.slice(0, -5);
+    const session = loadSession(id);
+    if (session && now - session.createdAt > SESSION_TTL && !active.has(id)) {
+      removeSession(id);
+    }
+  }
+}
+
+sweepExpiredSessions();
+setInterval(sweepExpiredSessions, 60 * 60 * 1000).unref();
+
+// Loads the session named in the URL into req.session once the Upload-Token
+// checks out for it.
+function requireSession(req, res, next) {
+  const session = loadSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Upload not found' });
+  const claims = verifyToken(TOKEN_PURPOSE, req.get('Upload-Token'));
+  if (!claims || claims.sub !== session.id || claims.size !== session.size || claims.type !== session.mimeType) {
+    return res.status(403).json({ error: 'Upload token is missing or has expired', code: 'upload_token_invalid' });
+  }
+  req.session = session;
+  next();
+}
+
+// Validates a new upload into req.upload. It runs ahead of requireChallenge,
+// so a request refused here (including 429 and 507) keeps its challenge for
+// the retry.
+function checkNewUpload(req, res, next) {
+  const { email, size, mimeType, consent, campaign } = req.body ?? {};
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Valid email is required' });
+  }
+  if (typeof mimeType !== 'string' || !ACCEPTED_TYPES.includes(mimeType.split(';')[0].trim())) {
+    return res.status(400).json({ error: 'Only WebM, Matroska, MP4 and QuickTime videos are accepted' });
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return res.status(400).json({ error: 'Upload size is required' });
+  }
+  if (size > MAX_FILE_SIZE) {
+    return res.status(413).json({ error: 'File too large' });
+  }
+  const campaignRow = resolveCampaign(campaign);
+  const organizationId = campaignRow?.organization_id ?? DEFAULT_ORGANIZATION_ID;
+
+  // A retry of an upload that already finished gets its result straight away.
+  const key = idempotencyKey(req);
+  const finished = findByIdempotencyKey(organizationId, email, key);
+  if (finished) return res.json(uploadResult({ testimonial: finished, duplicate: true }, email));
+
+  checkEmailLimit(email);
+  checkStorageQuota(size, reservedBytes());
+
+  req.upload = { email, size, mimeType, consent: parseConsent(consent), campaignRow, organizationId, key };
+  next();
+}
+
+const router = express.Router();
+
+router.post('/', limitUploadsByIp, checkNewUpload, requireChallenge, (req, res) => {
+  const { email, size, mimeType, consent, campaignRow, organizationId, key } = req.upload;
+
+  const id = crypto.randomUUID();
+  const session = {
+    id,
+    email,
+    mimeType,
+    size,
+    consent: {
+      ...consent,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      acceptedAt: new Date().toISOString(),
+    },
+    campaignId: campaignRow?.id ?? null,
+    organizationId,
+    idempotencyKey: key ?? null,
+    createdAt: Date.now(),
+  };
+  fs.writeFileSync(sessionPaths(id).meta, JSON.stringify(session));
+  fs.writeFileSync(sessionPaths(id).data, '');
+
+  const token = signToken(TOKEN_PURPOSE, { sub: id, size, type: mimeType }, TOKEN_TTL);
+  res.status(201)
+    .set('Location', `${req.baseUrl}/${id}`)
+    .set('Upload-Offset', '0')
+    .json({ id, offset: 0, size, token, expiresAt: new Date(Date.now() + TOKEN_TTL * 1000).toISOString() });
+});
+
+router.head('/:id', requireSession, (req, res) => {
+  const { session } = req;
+  res.set({
+    'Cache-Control': 'no-store',
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.size),
+  }).status(200).end();
+});
+
+router.patch('/:id', requireSession, limitConcurrentUploads, async (req, res) => {
+  const { id } = req.params;
+  const { session } = req;
+
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  res.set('Upload-Offset', String(session.offset));
+  if (active.has(id)) {
+    return res.status(409).json({ error: 'Upload is already receiving data' });
+  }
+  if (Number(req.get('Upload-Offset')) !== session.offset) {
+    return res.status(409).json({ error: 'Upload-Offset does not match the current offset' });
+  }
+
+  let received = session.offset;
+  const guard = new Transform({
+    transform(chunk, encoding, cb) {
+      received += chunk.length;
+      if (received > session.size) {
+        cb(new HttpError(413, 'Chunk exceeds the declared upload size'));
+      } else {
+        cb(null, chunk);
+      }
+    },
+  });
+
+  active.add(id);
+  try {
+    await pipeline(req, guard, fs.createWriteStream(sessionPaths(id).data, { flags: 'a' }));
+  } catch (err) {
+    // A dropped connection leaves whatever was flushed; the client asks for
+    // the offset again and continues from there.
+    if (res.headersSent || req.socket.destroyed) return;
+    // Anything else (a full disk, say) still answers, with the offset to
+    // resume from.
+    let offset = session.offset;
+    try {
+      offset = fs.statSync(sessionPaths(id).data).size;
+    } catch {
+      // keep the last recorded offset
+    }
+    if (!(err instanceof HttpError)) console.error(`Could not store upload ${id}:`, err.message);
+    return res.status(err instanceof HttpError ? err.status : 500)
+      .set('Upload-Offset', String(offset))
+      .json({ error: err instanceof HttpError ? err.message : 'Could not store the upload. Please try again.' });
+  } finally {
+    active.delete(id);
+  }
+
+  const offset = fs.statSync(sessionPaths(id).data).size;
+  res.status(204).set('Upload-Offset', String(offset)).end();
+});
+
+router.post('/:id/complete', requireSession, async (req, res) => {
+  const { id } = req.params;
+  const { session } = req;
+
+  if (active.has(id) || session.offset !== session.size) {
+    return res.status(409)
+      .set('Upload-Offset', String(session.offset))
+      .json({ error: 'Upload is not complete', offset: session.offset, size: session.size });
+  }
+
+  const filename = uniqueFilename();
+  fs.renameSync(sessionPaths(id).data, path.join(incomingDir, filename));
+  removeSession(id);
+
+  const result = await ingestUpload({
+    email: session.email,
+    filename,
+    size: session.size,
+    mimeType: session.mimeType,
+    consent: session.consent,
+    campaignId: session.campaignId,
+    organizationId: session.organizationId,
+    idempotencyKey: session.idempotencyKey,
+  });
+  res.json(uploadResult(result, session.email));
+});
+
+router.delete('/:id', requireSession, (req, res) => {
+  const { id } = req.params;
+  if (active.has(id)) return res.status(409).json({ error: 'Upload is already receiving data' });
+
+  removeSession(id);
+  res.status(204).end();
+});
+
+export default router;
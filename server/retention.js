@@ -0,0 +1,143 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import db from './db.js';
+import { STATUSES } from './moderation.js';
+import { renditionKey } from './renditions.js';
+import { originalKey } from './testimonials.js';
+import storage, { incomingDir, workDir, quarantineDir } from './storage/index.js';
+import { deleteTestimonial } from './deletion.js';
+import { brandAssetKey } from './brand.js';
+import { reelKey } from './reels.js';
+
+// Scheduled clean-up. RETENTION_RULES lists how many days a testimonial may
+// stay in a status before it is purged, e.g. "rejected:30,unverified:14";
+// the clock starts when it entered that status. Each sweep also removes
+// stored files no testimonial, brand asset or reel refers to and stale
+// scratch files.
+
+const DAY = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+// Leaves time for an upload or transcode to record the file it just stored.
+const ORPHAN_GRACE = 60 * 60 * 1000;
+const SCRATCH_TTL = DAY;
+
+function parseRules(spec) {
+  const rules = {};
+  for (const part of spec.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const [status, days] = part.split(':');
+    if (!STATUSES.includes(status) || !(Number(days) > 0)) {
+      throw new Error(`Invalid RETENTION_RULES entry "${part}"; expected <status>:<days> with status one of ${STATUSES.join(', ')}`);
+    }
+    rules[status] = Number(days);
+  }
+  return rules;
+}
+
+const RULES = parseRules(process.env.RETENTION_RULES || '');
+
+let sweeping = null;
+let lastSweep = null;
+
+async function purgeExpired() {
+  let purged = 0;
+  for (const [status, days] of Object.entries(RULES)) {
+    const cutoff = new Date(Date.now() - days * DAY).toISOString();
+    const rows = db.prepare(`
+      SELECT t.id FROM testimonials t
+      WHERE t.status = ? AND COALESCE(
+        (SELECT MAX(e.created_at) FROM testimonial_events e WHERE e.testimonial_id = t.id),
+        t.created_at
+      ) < ?
+    `).all(status, cutoff);
+    for (const { id } of rows) {
+      if (await deleteTestimonial(id, { reason: 'retention' })) purged++;
+    }
+  }
+  return purged;
+}
+
+async function removeOrphans() {
+  const known = new Set(db.prepare('SELECT filename, storage_prefix FROM testimonials').all().map(originalKey));
+  const renditions = db.prepare(`
+    SELECT r.testimonial_id, r.filename, t.storage_prefix
+    FROM renditions r JOIN testimonials t ON t.id = r.testimonial_id
+  `).all();
+  for (const r of renditions) {
+    known.add(renditionKey({ id: r.testimonial_id, storage_prefix: r.storage_prefix }, r.filename));
+  }
+  for (const asset of db.prepare('SELECT filename, storage_prefix FROM brand_assets').all()) {
+    known.add(brandAssetKey(asset));
+  }
+  for (const reel of db.prepare('SELECT id, storage_prefix FROM reels').all()) {
+    known.add(reelKey(reel));
+  }
+
+  const cutoff = Date.now() - ORPHAN_GRACE;
+  let removed = 0;
+  for await (const { key, lastModified } of storage.list()) {
+    if (known.has(key) || lastModified.getTime() > cutoff) continue;
+    await storage.delete(key);
+    removed++;
+  }
+  return removed;
+}
+
+// Leftovers of uploads and jobs interrupted by a crash or restart, and
+// quarantined files whose testimonial is gone
+function removeStaleScratch() {
+  const cutoff = Date.now() - SCRATCH_TTL;
+  for (const dir of [incomingDir, workDir]) {
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { recursive: true, force: true });
+    }
+  }
+
+  const known = db.prepare('SELECT 1 FROM testimonials WHERE filename = ?').pluck();
+  for (const name of fs.readdirSync(quarantineDir)) {
+    const file = path.join(quarantineDir, name);
+    if (!known.get(name) && fs.statSync(file).mtimeMs < Date.now() - ORPHAN_GRACE) fs.rmSync(file, { force: true });
+  }
+}
+
+// Runs one sweep, or joins the one already in progress.
+export function runRetentionSweep() {
+  if (!sweeping) {
+    const startedAt = new Date().toISOString();
+    sweeping = (async () => {
+      const purged = await purgeExpired();
+      const orphans = await removeOrphans();
+      removeStaleScratch();
+      lastSweep = { startedAt, finishedAt: new Date().toISOString(), purged, orphans };
+      if (purged || orphans) {
+        console.log(`Retention sweep purged ${purged} testimonial(s) and ${orphans} orphaned file(s)`);
+      }
+      return lastSweep;
+    })().finally(() => { sweeping = null; });
+  }
+  return sweeping;
+}
+
+function sweepInBackground() {
+  runRetentionSweep().catch((err) => console.error('Retention sweep failed:', err));
+}
+
+// Called once the server is up.
+export function startRetention() {
+  sweepInBackground();
+  setInterval(sweepInBackground, SWEEP_INTERVAL).unref();
+}
+
+// Admin routes, mounted at /api/retention
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ rules: RULES, lastSweep });
+});
+
+router.post('/sweep', async (req, res) => {
+  res.json(await runRetentionSweep());
+});
+
+export default router;
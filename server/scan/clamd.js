@@ -0,0 +1,49 @@
+import net from 'net';
+import fs from 'fs';
+import { once } from 'events';
+
+// Streams files to clamd with the INSTREAM command: length-prefixed chunks
+// ending with a zero-length one. The daemon answers "stream: OK" or
+// "stream: <signature> FOUND". Files larger than its StreamMaxLength are
+// refused with an error, so keep that above MAX_FILE_SIZE.
+
+const CHUNK_SIZE = 64 * 1024;
+const TIMEOUT = 2 * 60 * 1000;
+
+export function createClamdScanner({ socket, host, port }) {
+  async function scanFile(filePath) {
+    const conn = socket ? net.createConnection(socket) : net.createConnection({ host, port });
+    conn.setTimeout(TIMEOUT, () => conn.destroy(new Error('clamd timed out')));
+
+    const chunks = [];
+    conn.on('data', (chunk) => chunks.push(chunk));
+    const closed = once(conn, 'end');
+    closed.catch(() => {});
+
+    try {
+      await once(conn, 'connect');
+      conn.write('zINSTREAM\0');
+      for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        conn.write(length);
+        // clamd stops reading once it has refused the stream; its reply
+        // then arrives before the drain.
+        if (!conn.write(chunk)) await Promise.race([once(conn, 'drain'), closed]);
+        if (conn.writableEnded || conn.destroyed) break;
+      }
+      if (!conn.writableEnded) conn.end(Buffer.alloc(4));
+      await closed;
+    } finally {
+      conn.destroy();
+    }
+
+    const reply = Buffer.concat(chunks).toString('utf8').replace(/\0+$/, '').trim();
+    if (reply === 'stream: OK') return { clean: true, signature: null };
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) return { clean: false, signature: found[1] };
+    throw new Error(`clamd: ${reply || 'no reply'}`);
+  }
+
+  return { name: 'clamd', scanFile };
+}
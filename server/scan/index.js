@@ -0,0 +1,32 @@
+import { createNoopScanner } from './noop.js';
+import { createClamdScanner } from './clamd.js';
+
+// Malware scanning for uploads, chosen with SCAN_DRIVER:
+//   none    accept every file (default)
+//   clamd   stream the file to a ClamAV daemon over CLAMD_SOCKET, else
+//           CLAMD_HOST:CLAMD_PORT (default 127.0.0.1:3310)
+//
+// Every driver implements
+//   name                 recorded with each result
+//   scanFile(filePath)   { clean, signature }, where signature names what was
+//                        found; throws when the file could not be scanned
+
+const DRIVER = process.env.SCAN_DRIVER || 'none';
+
+function createScanner() {
+  switch (DRIVER) {
+    case 'none':
+      return createNoopScanner();
+    case 'clamd':
+      return createClamdScanner({
+        socket: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST || '127.0.0.1',
+        port: Number(process.env.CLAMD_PORT) || 3310,
+      });
+    default:
+      throw new Error(`Unknown SCAN_DRIVER "${DRIVER}"; use none or clamd`);
+  }
+}
+
+const scanner = createScanner();
+export default scanner;
@@ -0,0 +1,9 @@
+// Passes every file. For development, or when uploads are scanned elsewhere.
+export function createNoopScanner() {
+  return {
+    name: 'none',
+    async scanFile() {
+      return { clean: true, signature: null };
+    },
+  };
+}
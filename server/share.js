@@ -0,0 +1,182 @@
+import express from 'express';
+import { PUBLIC_URL } from './shared.js';
+import { getTestimonial, shareUrl } from './testimonials.js';
+import { getCampaign } from './campaigns.js';
+import { getRendition } from './renditions.js';
+import { getOrganization } from './organizations.js';
+import { renderPage, escapeHtml } from './pages.js';
+
+// Share pages for approved testimonials. Link unfurlers (Slack, LinkedIn, X…)
+// read the Open Graph and Twitter card tags on /api/share/:id; oEmbed
+// consumers find /api/oembed through the discovery link on the same page.
+// Both embed /api/share/:id/embed, a page holding nothing but the player.
+
+const DEFAULT_EMBED_WIDTH = 640;
+const SHARE_PATH_RE = /^\/api\/share\/([0-9a-f-]{36})(?:\/embed)?\/?$/;
+
+function embedUrl(id) {
+  return `${shareUrl(id)}/embed`;
+}
+
+// Everything the pages and oEmbed say about a testimonial, or null unless it
+// is approved.
+function describe(id) {
+  const row = getTestimonial(id);
+  if (!row || row.status !== 'approved') return null;
+  const campaign = row.campaign_id ? getCampaign(row.campaign_id) : null;
+  const organization = getOrganization(row.organization_id);
+  const videoUrl = `${PUBLIC_URL}/api/testimonials/${row.id}/video`;
+  const mp4 = getRendition(row.id, 'mp4');
+  const poster = getRendition(row.id, 'poster');
+  return {
+    row,
+    title: campaign?.title || 'Video testimonial',
+    description: row.caption || campaign?.prompt || `A video testimonial for ${organization.name}`,
+    siteName: organization.name,
+    videoUrl,
+    videoType: mp4 ? mp4.mime_type : row.mime_type,
+    posterUrl: poster ? `${videoUrl}?rendition=poster` : null,
+    width: row.width || 1280,
+    height: row.height || 720,
+  };
+}
+
+// Fits width × height inside the consumer's maxwidth/maxheight, keeping the
+// aspect ratio.
+function fit(info, maxWidth, maxHeight) {
+  const scale = Math.min(
+    1,
+    DEFAULT_EMBED_WIDTH / info.width,
+    maxWidth > 0 ? maxWidth / info.width : 1,
+    maxHeight > 0 ? maxHeight / info.height : 1,
+  );
+  return { width: Math.round(info.width * scale), height: Math.round(info.height * scale) };
+}
+
+function metaTags(info) {
+  const url = shareUrl(info.row.id);
+  const embed = fit(info);
+  const tags = [
+    ['og:type', 'video.other'],
+    ['og:site_name', info.siteName],
+    ['og:title', info.title],
+    ['og:description', info.description],
+    ['og:url', url],
+    ['og:video', info.videoUrl],
+    ['og:video:type', info.videoType],
+    ['og:video:width', info.width],
+    ['og:video:height', info.height],
+    ['twitter:card', 'player'],
+    ['twitter:title', info.title],
+    ['twitter:description', info.description],
+    ['twitter:player', embedUrl(info.row.id)],
+    ['twitter:player:width', embed.width],
+    ['twitter:player:height', embed.height],
+  ];
+  if (info.videoUrl.startsWith('https:')) tags.push(['og:video:secure_url', info.videoUrl]);
+  if (info.posterUrl) {
+    tags.push(
+      ['og:image', info.posterUrl],
+      ['og:image:width', info.width],
+      ['og:image:height', info.height],
+      ['twitter:image', info.posterUrl],
+    );
+  }
+  const oembed = `${PUBLIC_URL}/api/oembed?url=${encodeURIComponent(url)}&format=json`;
+  return [
+    ...tags.map(([property, content]) => {
+      const attr = property.startsWith('twitter:') ? 'name' : 'property';
+      return `<meta ${attr}="${property}" content="${escapeHtml(content)}" />`;
+    }),
+    `<meta name="description" content="${escapeHtml(info.description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembed)}" title="${escapeHtml(info.title)}" />`,
+  ].join('\n');
+}
+
+function player(info, attrs = '') {
+  const poster = info.posterUrl ? ` poster="${escapeHtml(info.posterUrl)}"` : '';
+  return `<video src="${escapeHtml(info.videoUrl)}"${poster} controls playsinline preload="metadata"${attrs}></video>`;
+}
+
+const notFoundPage = renderPage({
+  title: 'Video not found',
+  body: "<h1>Video not found</h1><p>This testimonial isn't available. It may have been withdrawn.</p>",
+});
+
+const router = express.Router();
+
+router.get('/:id', (req, res) => {
+  const info = describe(req.params.id);
+  if (!info) return res.status(404).type('html').send(notFoundPage);
+  res.set('Cache-Control', 'public, max-age=300').type('html').send(renderPage({
+    title: info.title,
+    head: `${metaTags(info)}
+<style>
+  main { max-width: 720px; }
+  video { display: block; width: 100%; max-height: 70vh; margin: 24px 0 16px; border-radius: 16px; background: #000; }
+</style>`,
+    body: `<h1>${escapeHtml(info.title)}</h1>
+${player(info)}
+<p>${escapeHtml(info.description)}</p>`,
+  }));
+});
+
+// Bare player for iframes
+router.get('/:id/embed', (req, res) => {
+  const info = describe(req.params.id);
+  if (!info) return res.status(404).type('html').send(notFoundPage);
+  res.set('Cache-Control', 'public, max-age=300').type('html').send(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="robots" content="noindex" />
+<title>${escapeHtml(info.title)} · VideoVoice</title>
+<style>
+  html, body { margin: 0; height: 100%; background: #000; }
+  video { display: block; width: 100%; height: 100%; object-fit: contain; }
+</style>
+</head>
+<body>${player(info)}</body>
+</html>`);
+});
+
+// oEmbed provider (https://oembed.com), mounted at /api/oembed. `url` is a
+// share page or embed link. Only JSON is offered.
+export const oembedRouter = express.Router();
+
+oembedRouter.get('/', (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  if (req.query.format && req.query.format !== 'json') {
+    return res.status(501).json({ error: 'Only format=json is supported' });
+  }
+  let pathname;
+  try {
+    pathname = new URL(String(req.query.url ?? '')).pathname;
+  } catch {
+    return res.status(400).json({ error: 'url must be a testimonial share link' });
+  }
+  const match = SHARE_PATH_RE.exec(pathname);
+  const info = match && describe(match[1]);
+  if (!info) return res.status(404).json({ error: 'Testimonial not found' });
+
+  const { width, height } = fit(info, Number(req.query.maxwidth), Number(req.query.maxheight));
+  const src = escapeHtml(embedUrl(info.row.id));
+  const body = {
+    version: '1.0',
+    type: 'video',
+    title: info.title,
+    provider_name: info.siteName,
+    provider_url: PUBLIC_URL,
+    cache_age: 300,
+    width,
+    height,
+    html: `<iframe src="${src}" width="${width}" height="${height}" title="${escapeHtml(info.title)}" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe>`,
+  };
+  if (info.posterUrl) {
+    Object.assign(body, { thumbnail_url: info.posterUrl, thumbnail_width: info.width, thumbnail_height: info.height });
+  }
+  res.set('Cache-Control', 'public, max-age=300').json(body);
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const uploadsDir = path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+export const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Longest recording in seconds, for uploads outside a campaign
+export const MAX_DURATION = Number(process.env.MAX_DURATION) || 30;
+
+// Origin that links in emails and share pages point at
+export const PUBLIC_URL = (process.env.PUBLIC_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+export function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+export function uniqueFilename(ext) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  return `testimonial-${uniqueSuffix}${ext || '.webm'}`;
+}
+
+// Errors with an HTTP status; `details` are merged into the JSON error body
+// and `headers` set on the response.
+export class HttpError extends Error {
+  constructor(status, message, details = {}, headers = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+    this.headers = headers;
+  }
+}
@@ -0,0 +1,104 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { uploadsDir } from '../shared.js';
+import { verifyToken } from '../tokens.js';
+import { createLocalStorage, SIGNED_URL_PURPOSE } from './local.js';
+
+// Where originals and renditions are kept, chosen with STORAGE_DRIVER:
+//   local     a directory on this machine (default; STORAGE_LOCAL_DIR, else server/uploads)
+//   supabase  a Supabase Storage bucket
+//   s3        any S3-compatible bucket (AWS, MinIO, …)
+// Objects are addressed by key: an original is stored under its filename and
+// renditions under renditions/<testimonial id>/<file>, both below the
+// organization's storage prefix when it has one. Uploads are received,
+// probed and transcoded in local scratch directories whatever the driver.
+//
+// Every driver implements
+//   put(key, readable, { contentType })   store a stream
+//   getStream(key, { start, end })        read, optionally a byte range (inclusive)
+//   stat(key)                             { size, lastModified, etag } or null
+//   delete(key)
+//   list(prefix)                          async iterable of { key, lastModified }
+//   signedUrl(key, { expiresIn })         time-limited URL a browser can fetch
+
+const DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+async function createDriver() {
+  switch (DRIVER) {
+    case 'local':
+      return createLocalStorage({ root: path.resolve(process.env.STORAGE_LOCAL_DIR || uploadsDir) });
+    // The SDKs for remote drivers are only loaded when selected.
+    case 'supabase': {
+      const { createSupabaseStorage } = await import('./supabase.js');
+      return createSupabaseStorage({
+        url: process.env.SUPABASE_URL,
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        bucket: process.env.SUPABASE_BUCKET || 'video_recording',
+      });
+    }
+    case 's3': {
+      const { createS3Storage } = await import('./s3.js');
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX,
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${DRIVER}"; use local, supabase or s3`);
+  }
+}
+
+const storage = await createDriver();
+export default storage;
+
+// Scratch space for files being received or processed. Kept under uploads/
+// (dot-prefixed, so never a valid key) so renames into local storage are cheap.
+export const incomingDir = path.join(uploadsDir, '.incoming');
+export const workDir = path.join(uploadsDir, '.work');
+// Accepted uploads wait here, out of storage, until they pass the malware scan.
+export const quarantineDir = path.join(uploadsDir, '.quarantine');
+fs.mkdirSync(incomingDir, { recursive: true });
+fs.mkdirSync(workDir, { recursive: true });
+fs.mkdirSync(quarantineDir, { recursive: true });
+
+// Key under an organization's storage prefix; the default organization has none.
+export function prefixedKey(prefix, key) {
+  return prefix ? `${prefix}/${key}` : key;
+}
+
+// Lifetime of the download links handed to reviewers, in seconds
+export const SIGNED_URL_TTL = 15 * 60;
+
+// Moves a local file into storage under `key`.
+export async function putFile(key, filePath, options = {}) {
+  if (storage.putFile) return storage.putFile(key, filePath, options);
+  await storage.put(key, fs.createReadStream(filePath), options);
+  fs.rmSync(filePath, { force: true });
+}
+
+// Path to a local copy of `key`, downloading it into `dir` when the driver
+// isn't local. The caller owns `dir` and removes it afterwards.
+export async function localCopy(key, dir) {
+  if (storage.localPath) return storage.localPath(key);
+  const file = path.join(dir, path.basename(key));
+  await pipeline(await storage.getStream(key), fs.createWriteStream(file));
+  return file;
+}
+
+// Serves the local driver's signed URLs, mounted at /api/files.
+export const filesRouter = express.Router();
+
+filesRouter.get('/*key', async (req, res) => {
+  const key = req.params.key.join('/');
+  const claims = storage.name === 'local' && verifyToken(SIGNED_URL_PURPOSE, req.query.token);
+  if (!claims || claims.key !== key) {
+    return res.status(403).json({ error: 'Link is invalid or has expired' });
+  }
+  res.sendFile(storage.localPath(key), { dotfiles: 'deny' });
+});
@@ -0,0 +1,104 @@
+import path from 'path';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { PUBLIC_URL } from '../shared.js';
+import { signToken } from '../tokens.js';
+
+// Files under a directory on this machine. Signed URLs point at
+// /api/files, which this server answers itself (see storage/index.js).
+
+export const SIGNED_URL_PURPOSE = 'storage-file';
+
+export function createLocalStorage({ root }) {
+  fs.mkdirSync(root, { recursive: true });
+
+  function resolve(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  }
+
+  // Writes go to a temporary name first so readers never see half a file.
+  async function put(key, body) {
+    const file = resolve(key);
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    await pipeline(body, fs.createWriteStream(tmp));
+    fs.renameSync(tmp, file);
+  }
+
+  async function putFile(key, filePath) {
+    const file = resolve(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      fs.renameSync(filePath, file);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+      await put(key, fs.createReadStream(filePath));
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+
+  async function getStream(key, { start, end } = {}) {
+    return fs.createReadStream(resolve(key), { start, end });
+  }
+
+  async function stat(key) {
+    try {
+      const st = fs.statSync(resolve(key));
+      return { size: st.size, lastModified: st.mtime, etag: `"${st.size.toString(16)}-${Math.floor(st.mtimeMs).toString(16)}"` };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Also prunes directories the deletion leaves empty.
+  async function remove(key) {
+    const file = resolve(key);
+    fs.rmSync(file, { force: true });
+    for (let dir = path.dirname(file); dir !== root; dir = path.dirname(dir)) {
+      try {
+        fs.rmdirSync(dir);
+      } catch {
+        break;
+      }
+    }
+  }
+
+  // Dot-prefixed entries are scratch space, not stored objects.
+  async function* list(prefix = '') {
+    const walk = function* (dir) {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(file);
+        } else if (entry.isFile()) {
+          yield { key: path.relative(root, file).split(path.sep).join('/'), lastModified: fs.statSync(file).mtime };
+        }
+      }
+    };
+    for (const item of walk(root)) {
+      if (item.key.startsWith(prefix)) yield item;
+    }
+  }
+
+  async function signedUrl(key, { expiresIn }) {
+    const token = signToken(SIGNED_URL_PURPOSE, { key }, expiresIn);
+    const encoded = key.split('/').map(encodeURIComponent).join('/');
+    return `${PUBLIC_URL}/api/files/${encoded}?token=${encodeURIComponent(token)}`;
+  }
+
+  return {
+    name: 'local',
+    put,
+    putFile,
+    getStream,
+    stat,
+    delete: remove,
+    list,
+    signedUrl,
+    localPath: resolve,
+  };
+}
@@ -0,0 +1,65 @@
+import {
+  S3Client, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Any S3-compatible service: AWS itself, or MinIO, R2 and friends via
+// `endpoint`. Credentials fall back to the SDK's usual environment chain.
+
+export function createS3Storage({ bucket, endpoint, region, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // Self-hosted endpoints rarely have wildcard DNS for bucket subdomains.
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const object = (key) => ({ Bucket: bucket, Key: prefix + key });
+
+  async function put(key, body, { contentType } = {}) {
+    // Multipart under the hood, so bodies of unknown length stream through.
+    await new Upload({ client, params: { ...object(key), Body: body, ContentType: contentType } }).done();
+  }
+
+  async function getStream(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    const res = await client.send(new GetObjectCommand({ ...object(key), Range: range }));
+    return res.Body;
+  }
+
+  async function stat(key) {
+    try {
+      const res = await client.send(new HeadObjectCommand(object(key)));
+      return { size: res.ContentLength, lastModified: res.LastModified, etag: res.ETag };
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand(object(key)));
+  }
+
+  async function* list(keyPrefix = '') {
+    let token;
+    do {
+      const res = await client.send(new ListObjectsV2Command({
+        Bucket: bucket, Prefix: prefix + keyPrefix, ContinuationToken: token,
+      }));
+      for (const obj of res.Contents || []) {
+        yield { key: obj.Key.slice(prefix.length), lastModified: obj.LastModified };
+      }
+      token = res.IsTruncated ? res.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  function signedUrl(key, { expiresIn }) {
+    return getSignedUrl(client, new GetObjectCommand(object(key)), { expiresIn });
+  }
+
+  return { name: 's3', put, getStream, stat, delete: remove, list, signedUrl };
+}
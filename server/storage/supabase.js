@@ -0,0 +1,70 @@
+import { Readable } from 'stream';
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase Storage, using the service role key so the bucket can stay
+// private. Reads go through short-lived signed URLs, which also gives us
+// Range support.
+
+export function createSupabaseStorage({ url, serviceRoleKey, bucket }) {
+  if (!url || !serviceRoleKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the supabase storage driver');
+  }
+
+  const files = createClient(url, serviceRoleKey, { auth: { persistSession: false } }).storage.from(bucket);
+
+  function check({ data, error }, action, key) {
+    if (error) throw new Error(`Supabase storage could not ${action} "${key}": ${error.message}`);
+    return data;
+  }
+
+  async function put(key, body, { contentType } = {}) {
+    check(await files.upload(key, body, { contentType, upsert: true }), 'upload', key);
+  }
+
+  async function signedUrl(key, { expiresIn }) {
+    return check(await files.createSignedUrl(key, expiresIn), 'sign', key).signedUrl;
+  }
+
+  async function getStream(key, { start, end } = {}) {
+    const headers = start !== undefined ? { Range: `bytes=${start}-${end ?? ''}` } : {};
+    const res = await fetch(await signedUrl(key, { expiresIn: 60 }), { headers });
+    if (!res.ok) throw new Error(`Supabase storage could not read "${key}": HTTP ${res.status}`);
+    return Readable.fromWeb(res.body);
+  }
+
+  async function stat(key) {
+    const { data, error } = await files.info(key);
+    if (error) {
+      if (error.status === 404 || error.statusCode === '404') return null;
+      throw new Error(`Supabase storage could not stat "${key}": ${error.message}`);
+    }
+    return { size: data.size, lastModified: new Date(data.lastModified || data.updatedAt), etag: data.etag };
+  }
+
+  async function remove(key) {
+    check(await files.remove([key]), 'delete', key);
+  }
+
+  // Supabase lists one folder at a time; entries without an id are folders.
+  async function* list(prefix = '') {
+    const walk = async function* (folder) {
+      for (let offset = 0; ; offset += 1000) {
+        const entries = check(await files.list(folder, { limit: 1000, offset }), 'list', folder);
+        for (const entry of entries) {
+          const key = folder ? `${folder}/${entry.name}` : entry.name;
+          if (entry.id === null) {
+            yield* walk(key);
+          } else {
+            yield { key, lastModified: new Date(entry.updated_at || entry.created_at) };
+          }
+        }
+        if (entries.length < 1000) return;
+      }
+    };
+    for await (const item of walk('')) {
+      if (item.key.startsWith(prefix)) yield item;
+    }
+  }
+
+  return { name: 'supabase', put, getStream, stat, delete: remove, list, signedUrl };
+}
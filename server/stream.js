@@ -0,0 +1,106 @@
+import express from 'express';
+import { PUBLIC_URL } from './shared.js';
+import { getTestimonial, originalKey } from './testimonials.js';
+import { getRendition, renditionKey } from './renditions.js';
+import storage from './storage/index.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// Video playback with byte ranges, ETags and conditional requests, so players
+// can seek without downloading the whole file. Approved testimonials are
+// open to anyone; others need a short-lived token from the admin API.
+
+const TOKEN_PURPOSE = 'stream-video';
+const TOKEN_TTL = 10 * 60;
+
+export function signedVideoUrl(id, ttl = TOKEN_TTL) {
+  const token = signToken(TOKEN_PURPOSE, { sub: id }, ttl);
+  return `${PUBLIC_URL}/api/testimonials/${id}/video?token=${encodeURIComponent(token)}`;
+}
+
+function quoteEtag(etag) {
+  if (!etag) return null;
+  return /^(W\/)?"/.test(etag) ? etag : `"${etag}"`;
+}
+
+// Streams a stored object, answering Range, If-Range, If-None-Match and
+// If-Modified-Since. Only single ranges are served; multi-range requests get
+// the whole file.
+export async function sendObject(req, res, key, { contentType, cacheControl }) {
+  const info = await storage.stat(key);
+  if (!info) return res.status(404).json({ error: 'Video not found' });
+
+  const etag = quoteEtag(info.etag);
+  const lastModified = info.lastModified ? new Date(info.lastModified).toUTCString() : null;
+  res.set({ 'Accept-Ranges': 'bytes', 'Content-Type': contentType, 'Cache-Control': cacheControl });
+  if (etag) res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified);
+
+  if (req.fresh) return res.status(304).end();
+
+  let start = 0;
+  let end = info.size - 1;
+  const ifRange = req.get('If-Range');
+  const rangeApplies = req.get('Range') && (!ifRange || ifRange === etag || ifRange === lastModified);
+  if (rangeApplies) {
+    const ranges = req.range(info.size);
+    if (ranges === -1) {
+      return res.status(416).set('Content-Range', `bytes */${info.size}`).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${info.size}`);
+    }
+  }
+  res.set('Content-Length', String(end - start + 1));
+
+  if (req.method === 'HEAD' || info.size === 0) return res.end();
+  const stream = await storage.getStream(key, { start, end });
+  stream.on('error', (err) => {
+    console.error(`Streaming ${key} failed:`, err.message);
+    res.destroy(err);
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+// Public route, mounted at /api/testimonials ahead of the admin routes.
+// `?rendition=` picks a rendition kind, or `original`; by default the H.264
+// transcode is served when it exists since every browser can play it.
+export const publicRouter = express.Router();
+
+publicRouter.get('/:id/video', async (req, res) => {
+  const row = getTestimonial(req.params.id);
+  const claims = req.query.token !== undefined && verifyToken(TOKEN_PURPOSE, req.query.token);
+  if (req.query.token !== undefined && (!claims || claims.sub !== req.params.id)) {
+    return res.status(403).json({ error: 'Link is invalid or has expired' });
+  }
+  if (!row || (!claims && row.status !== 'approved')) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+
+  const requested = req.query.rendition ? String(req.query.rendition) : null;
+  const rendition = requested !== 'original' && getRendition(row.id, requested || 'mp4');
+  if (requested && requested !== 'original' && !rendition) {
+    return res.status(404).json({ error: 'Rendition not found' });
+  }
+
+  // Approved videos can be cached by anyone, but not for long in case they
+  // are withdrawn.
+  const cacheControl = claims ? 'private, max-age=600' : 'public, max-age=300';
+  if (rendition) {
+    return sendObject(req, res, renditionKey(row, rendition.filename), { contentType: rendition.mime_type, cacheControl });
+  }
+  await sendObject(req, res, originalKey(row), { contentType: row.mime_type, cacheControl });
+});
+
+// Admin routes, mounted under /api/testimonials
+const router = express.Router();
+
+router.get('/:id/video-url', (req, res) => {
+  if (!getTestimonial(req.params.id)) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.json({ url: signedVideoUrl(req.params.id), expiresIn: TOKEN_TTL });
+});
+
+export default router;
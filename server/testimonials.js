@@ -0,0 +1,216 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from './db.js';
+import { HttpError, PUBLIC_URL } from './shared.js';
+import storage, { SIGNED_URL_TTL, prefixedKey } from './storage/index.js';
+
+const SORTABLE = ['created_at', 'email', 'size', 'duration', 'status'];
+const MAX_PAGE_SIZE = 100;
+const MAX_CAPTION_LENGTH = 280;
+
+export function toJson(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    filename: row.filename,
+    size: row.size,
+    duration: row.duration,
+    width: row.width,
+    height: row.height,
+    tracks: row.tracks ? JSON.parse(row.tracks) : null,
+    sha256: row.sha256,
+    mimeType: row.mime_type,
+    createdAt: row.created_at,
+    status: row.status,
+    emailVerifiedAt: row.email_verified_at,
+    campaignId: row.campaign_id,
+    organizationId: row.organization_id,
+    scanStatus: row.scan_status,
+    scanEngine: row.scan_engine,
+    scanSignature: row.scan_signature,
+    scannedAt: row.scanned_at,
+    caption: row.caption,
+    shareUrl: shareUrl(row.id),
+  };
+}
+
+// The subset of a record that is safe to show on public pages.
+export function publicJson(row) {
+  return {
+    id: row.id,
+    duration: row.duration,
+    width: row.width,
+    height: row.height,
+    mimeType: row.mime_type,
+    caption: row.caption,
+    createdAt: row.created_at,
+    shareUrl: shareUrl(row.id),
+  };
+}
+
+// Share page with link previews (see share.js); it only works once the
+// testimonial is approved.
+export function shareUrl(id) {
+  return `${PUBLIC_URL}/api/share/${id}`;
+}
+
+export function createTestimonial({
+  email, filename, size, duration, width = null, height = null, tracks = null, mimeType,
+  campaignId = null, sha256 = null, idempotencyKey = null, scanStatus = null, organization,
+}) {
+  const row = {
+    id: crypto.randomUUID(),
+    email,
+    filename,
+    size,
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+    width,
+    height,
+    tracks: tracks && JSON.stringify(tracks),
+    mime_type: mimeType,
+    created_at: new Date().toISOString(),
+    status: 'unverified',
+    campaign_id: campaignId,
+    sha256,
+    idempotency_key: idempotencyKey,
+    scan_status: scanStatus,
+    organization_id: organization.id,
+    storage_prefix: organization.storage_prefix,
+  };
+  db.prepare(`
+    INSERT INTO testimonials (id, email, filename, size, duration, width, height, tracks, mime_type, created_at, status,
+      campaign_id, sha256, idempotency_key, scan_status, organization_id, storage_prefix)
+    VALUES (@id, @email, @filename, @size, @duration, @width, @height, @tracks, @mime_type, @created_at, @status,
+      @campaign_id, @sha256, @idempotency_key, @scan_status, @organization_id, @storage_prefix)
+  `).run(row);
+  return row;
+}
+
+export function getTestimonial(id) {
+  return db.prepare('SELECT * FROM testimonials WHERE id = ?').get(id);
+}
+
+// Storage key of the original upload
+export function originalKey(row) {
+  return prefixedKey(row.storage_prefix, row.filename);
+}
+
+// Builds the WHERE clause shared by every query that accepts listing filters,
+// limited to one organization's testimonials.
+export function buildFilters(query, organizationId) {
+  const clauses = ['organization_id = @organizationId'];
+  const params = { organizationId };
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && Number.isNaN(Date.parse(query[key]))) {
+      throw new HttpError(400, `${key} must be a valid date`);
+    }
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').filter(Boolean);
+    clauses.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+    statuses.forEach((s, i) => { params[`status${i}`] = s; });
+  }
+  if (query.email) {
+    clauses.push('email = @email COLLATE NOCASE');
+    params.email = String(query.email);
+  }
+  if (query.q) {
+    clauses.push("(email LIKE @q ESCAPE '\\' OR filename LIKE @q ESCAPE '\\')");
+    params.q = `%${String(query.q).replace(/[\\%_]/g, '\\$&')}%`;
+  }
+  if (query.campaign) {
+    clauses.push('campaign_id IN (SELECT id FROM campaigns WHERE slug = @campaign)');
+    params.campaign = String(query.campaign);
+  }
+  if (query.from) {
+    clauses.push('created_at >= @from');
+    params.from = new Date(query.from).toISOString();
+  }
+  if (query.to) {
+    clauses.push('created_at <= @to');
+    params.to = new Date(query.to).toISOString();
+  }
+
+  return { where: `WHERE ${clauses.join(' AND ')}`, params };
+}
+
+function parseSort(query) {
+  const raw = String(query.sort || '-created_at');
+  const desc = raw.startsWith('-');
+  const column = desc ? raw.slice(1) : raw;
+  if (!SORTABLE.includes(column)) return null;
+  return `${column} ${desc ? 'DESC' : 'ASC'}, id ASC`;
+}
+
+export function listTestimonials(query, organizationId) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || 20));
+  const orderBy = parseSort(query) || parseSort({});
+  const { where, params } = buildFilters(query, organizationId);
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM testimonials ${where}`).get(params).n;
+  const rows = db.prepare(`
+    SELECT * FROM testimonials ${where}
+    ORDER BY ${orderBy}
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+  return { items: rows.map(toJson), page, pageSize, total };
+}
+
+// Mounted ahead of every admin router under /api/testimonials: testimonials
+// of other organizations are answered as if they didn't exist.
+export const organizationScope = express.Router();
+
+organizationScope.use('/:id', (req, res, next) => {
+  const row = getTestimonial(req.params.id);
+  if (row && row.organization_id !== req.organization.id) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  next();
+});
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  if (!parseSort(req.query)) {
+    return res.status(400).json({ error: `sort must be one of: ${SORTABLE.join(', ')} (prefix with - for descending)` });
+  }
+  res.json(listTestimonials(req.query, req.organization.id));
+});
+
+router.get('/:id', (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Testimonial not found' });
+  res.json(toJson(row));
+});
+
+// Only the caption is editable; `null` or an empty string clears it.
+router.patch('/:id', (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Testimonial not found' });
+  const { caption } = req.body ?? {};
+  if (caption !== undefined) {
+    if (caption !== null && typeof caption !== 'string') {
+      throw new HttpError(400, 'caption must be a string or null');
+    }
+    const text = caption?.trim() || null;
+    if (text && text.length > MAX_CAPTION_LENGTH) {
+      throw new HttpError(400, `caption can be at most ${MAX_CAPTION_LENGTH} characters`);
+    }
+    db.prepare('UPDATE testimonials SET caption = ? WHERE id = ?').run(text, row.id);
+  }
+  res.json(toJson(getTestimonial(row.id)));
+});
+
+// Short-lived link to the original upload
+router.get('/:id/download', async (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Testimonial not found' });
+  const url = await storage.signedUrl(originalKey(row), { expiresIn: SIGNED_URL_TTL });
+  res.json({ url, expiresIn: SIGNED_URL_TTL });
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { dataDir } from './shared.js';
+
+// HMAC-signed, expiring tokens for links sent to people outside the admin API.
+// The key comes from APP_SECRET, or is generated once into server/data/secret.
+
+function loadSecret() {
+  if (process.env.APP_SECRET) return process.env.APP_SECRET;
+  const file = path.join(dataDir, 'secret');
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(file, 'utf8').trim();
+}
+
+const secret = loadSecret();
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// `purpose` keeps a token minted for one flow from being replayed in another.
+export function signToken(purpose, claims, ttlSeconds) {
+  const payload = { ...claims, purpose, exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Returns the token's claims, or null if it is forged, expired or for
+// another purpose.
+export function verifyToken(purpose, token) {
+  if (typeof token !== 'string') return null;
+  const [data, mac] = token.split('.');
+  if (!data || !mac) return null;
+
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(mac);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (payload.purpose !== purpose || !(payload.exp > Date.now() / 1000)) return null;
+  return payload;
+}
@@ -0,0 +1,124 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { getTestimonial, toJson, originalKey } from './testimonials.js';
+import { registerJobHandler, enqueueJob, jobJson, listJobs } from './jobs.js';
+import { renditionKey, saveRendition, getRendition, listRenditions, renditionJson } from './renditions.js';
+import storage, { putFile, localCopy, workDir, SIGNED_URL_TTL } from './storage/index.js';
+import { runFfmpeg } from './ffmpeg.js';
+import { emitEvent } from './webhooks.js';
+
+// Optional lower-bitrate renditions, as a list of output heights,
+// e.g. TRANSCODE_RENDITIONS=720,480
+const RENDITION_HEIGHTS = (process.env.TRANSCODE_RENDITIONS || '')
+  .split(',')
+  .map((h) => parseInt(h, 10))
+  .filter((h) => h > 0);
+
+const VIDEO_BITRATES = { 1080: '4500k', 720: '2500k', 480: '1000k', 360: '600k', 240: '400k' };
+
+// The full-size MP4 is quality-targeted; smaller renditions are capped at a bitrate.
+function rateArgs(height) {
+  if (!height) return ['-crf', '23'];
+  const bitrate = VIDEO_BITRATES[height] || `${height * 3}k`;
+  return ['-b:v', bitrate, '-maxrate', bitrate, '-bufsize', `${parseInt(bitrate, 10) * 2}k`];
+}
+
+function mp4Args(input, output, height) {
+  const scale = height ? `scale=-2:${height}` : 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+  return [
+    '-i', input,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', scale,
+    '-c:v', 'libx264', '-preset', 'veryfast', ...rateArgs(height),
+    '-pix_fmt', 'yuv420p', '-profile:v', 'high',
+    '-c:a', 'aac', '-b:a', height && height < 480 ? '96k' : '128k', '-ac', '2',
+    '-movflags', '+faststart',
+    output,
+  ];
+}
+
+registerJobHandler('transcode', async (job, { setProgress }) => {
+  const testimonial = getTestimonial(job.testimonial_id);
+  if (!testimonial) throw new Error('Testimonial no longer exists');
+
+  const dir = fs.mkdtempSync(path.join(workDir, `${testimonial.id}-`));
+  try {
+    return await transcode(testimonial, dir, setProgress);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Renders into the scratch `dir`, moving each finished file into storage.
+async function transcode(testimonial, dir, setProgress) {
+  const input = await localCopy(originalKey(testimonial), dir);
+  const store = async (filename, { kind, mimeType, height }) => {
+    const file = path.join(dir, filename);
+    const { size } = fs.statSync(file);
+    await putFile(renditionKey(testimonial, filename), file, { contentType: mimeType });
+    return saveRendition(testimonial.id, { kind, filename, mimeType, size, height });
+  };
+
+  const outputs = [
+    { kind: 'mp4', filename: 'video.mp4', height: null },
+    ...RENDITION_HEIGHTS.map((h) => ({ kind: `mp4-${h}p`, filename: `video-${h}p.mp4`, height: h })),
+  ];
+  const steps = outputs.length + 1;
+  const saved = [];
+
+  for (const [i, out] of outputs.entries()) {
+    await runFfmpeg(mp4Args(input, path.join(dir, out.filename), out.height), {
+      duration: testimonial.duration,
+      onProgress: (p) => setProgress((i + p) / steps),
+    });
+    saved.push(await store(out.filename, { kind: out.kind, mimeType: 'video/mp4', height: out.height }));
+    setProgress((i + 1) / steps);
+  }
+
+  // Grab the poster a little way in so it isn't the fade-in of the first frame.
+  const seek = testimonial.duration ? Math.min(1, testimonial.duration / 2) : 0;
+  await runFfmpeg(['-ss', String(seek), '-i', input, '-frames:v', '1', '-q:v', '3', path.join(dir, 'poster.jpg')]);
+  saved.push(await store('poster.jpg', { kind: 'poster', mimeType: 'image/jpeg' }));
+
+  const renditions = saved.map(renditionJson);
+  emitEvent('testimonial.transcoded', { testimonial: toJson(getTestimonial(testimonial.id)), renditions });
+  return { renditions };
+}
+
+export function enqueueTranscode(testimonialId) {
+  return enqueueJob('transcode', { testimonialId });
+}
+
+const router = express.Router();
+
+router.get('/:id/renditions', (req, res) => {
+  if (!getTestimonial(req.params.id)) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.json({ items: listRenditions(req.params.id).map(renditionJson) });
+});
+
+router.get('/:id/renditions/:kind/download', async (req, res) => {
+  const row = getRendition(req.params.id, req.params.kind);
+  if (!row) return res.status(404).json({ error: 'Rendition not found' });
+  const key = renditionKey(getTestimonial(row.testimonial_id), row.filename);
+  const url = await storage.signedUrl(key, { expiresIn: SIGNED_URL_TTL });
+  res.json({ url, expiresIn: SIGNED_URL_TTL });
+});
+
+router.get('/:id/jobs', (req, res) => {
+  if (!getTestimonial(req.params.id)) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.json({ items: listJobs({ testimonialId: req.params.id }).map(jobJson) });
+});
+
+router.post('/:id/transcode', (req, res) => {
+  if (!getTestimonial(req.params.id)) {
+    return res.status(404).json({ error: 'Testimonial not found' });
+  }
+  res.status(202).json(jobJson(enqueueTranscode(req.params.id)));
+});
+
+export default router;
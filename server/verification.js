@@ -0,0 +1,106 @@
+import express from 'express';
+import db from './db.js';
+import { PUBLIC_URL } from './shared.js';
+import { getTestimonial, toJson } from './testimonials.js';
+import { recordStatusChange } from './moderation.js';
+import { signToken, verifyToken } from './tokens.js';
+import { sendMail } from './mail/index.js';
+import { renderPage, escapeHtml } from './pages.js';
+import { emitEvent } from './webhooks.js';
+import { DELETE_PAGE_URL } from './deletion.js';
+
+// Double opt-in: a new submission stays `unverified` until the address it was
+// submitted under follows the link we mail to it.
+
+const TOKEN_PURPOSE = 'verify-email';
+const TOKEN_TTL = 7 * 24 * 60 * 60;
+
+export function sendVerificationEmail(testimonial) {
+  const token = signToken(TOKEN_PURPOSE, { sub: testimonial.id }, TOKEN_TTL);
+  const link = `${PUBLIC_URL}/api/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: testimonial.email,
+    subject: 'Confirm your VideoVoice testimonial',
+    text: [
+      'Thanks for recording a testimonial!',
+      '',
+      'Please confirm this is your email address so our team can review your video:',
+      link,
+      '',
+      "If you didn't record a video, you can ignore this message and nothing will be published.",
+      '',
+      `You can withdraw your video at any time: ${DELETE_PAGE_URL}`,
+    ].join('\n'),
+    html: `<p>Thanks for recording a testimonial!</p>
+<p>Please confirm this is your email address so our team can review your video:</p>
+<p><a href="${escapeHtml(link)}">Confirm my email</a></p>
+<p>If you didn't record a video, you can ignore this message and nothing will be published.</p>
+<p><small>You can <a href="${escapeHtml(DELETE_PAGE_URL)}">withdraw your video</a> at any time.</small></p>`,
+  });
+}
+
+// Moves an unverified testimonial into the moderation queue. Confirming twice
+// is harmless.
+export const confirmEmail = db.transaction((id) => {
+  const row = getTestimonial(id);
+  if (!row) return null;
+  if (row.status === 'unverified') {
+    db.prepare('UPDATE testimonials SET email_verified_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    recordStatusChange(row, 'pending', { note: 'Email address confirmed by submitter' });
+    emitEvent('testimonial.verified', { testimonial: toJson(getTestimonial(id)) });
+  }
+  return getTestimonial(id);
+});
+
+const invalidLinkPage = renderPage({
+  title: 'Link expired',
+  body: '<h1>This link is no longer valid</h1><p>It may have expired or already been replaced. Please record and submit your video again.</p>',
+});
+
+// Public routes, mounted at /api/verify-email. GET only shows a button so
+// that mail scanners prefetching the link don't confirm on the user's behalf.
+export const publicRouter = express.Router();
+
+publicRouter.get('/', (req, res) => {
+  const claims = verifyToken(TOKEN_PURPOSE, req.query.token);
+  if (!claims || !getTestimonial(claims.sub)) {
+    return res.status(400).type('html').send(invalidLinkPage);
+  }
+  res.type('html').send(renderPage({
+    title: 'Confirm your email',
+    body: `<h1>Confirm your email</h1>
+<p>One click and your testimonial goes to our team for review.</p>
+<form method="post" action="${escapeHtml(req.baseUrl)}">
+  <input type="hidden" name="token" value="${escapeHtml(req.query.token)}" />
+  <button type="submit">Confirm my email</button>
+</form>`,
+  }));
+});
+
+publicRouter.post('/', express.urlencoded({ extended: false }), (req, res) => {
+  const claims = verifyToken(TOKEN_PURPOSE, req.body?.token);
+  const row = claims && confirmEmail(claims.sub);
+  if (!row) {
+    return res.status(400).type('html').send(invalidLinkPage);
+  }
+  res.type('html').send(renderPage({
+    title: 'Email confirmed',
+    body: '<h1>Thank you!</h1><p>Your email is confirmed and your video is now with our team for review.</p>',
+  }));
+});
+
+// Admin routes, mounted under /api/testimonials
+const router = express.Router();
+
+router.post('/:id/resend-verification', async (req, res) => {
+  const row = getTestimonial(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Testimonial not found' });
+  if (row.status !== 'unverified') {
+    return res.status(409).json({ error: 'Email address is already confirmed' });
+  }
+  await sendVerificationEmail(row);
+  res.json(toJson(row));
+});
+
+export default router;
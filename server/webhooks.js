@@ -0,0 +1,295 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from './db.js';
+import { HttpError } from './shared.js';
+
+// Outbound webhooks. emitEvent() stores one delivery per subscribed endpoint
+// (in the caller's transaction, if any) and a background loop POSTs them,
+// retrying failures with exponential backoff. Each request is signed:
+//   X-VideoVoice-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the endpoint's secret.
+
+export const EVENTS = [
+  'testimonial.created',
+  'testimonial.verified',
+  'testimonial.approved',
+  'testimonial.rejected',
+  'testimonial.transcoded',
+  'testimonial.branded',
+  'testimonial.deleted',
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY = 30 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const POLL_INTERVAL = 5 * 1000;
+
+let started = false;
+const delivering = new Set();
+
+export function webhookJson(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    secret: row.secret,
+    description: row.description,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+  };
+}
+
+export function deliveryJson(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    error: row.error,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+function getWebhook(id) {
+  return db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+}
+
+function getDelivery(id) {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+}
+
+function queueDelivery(webhookId, event, data) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const payload = JSON.stringify({ id, event, createdAt: now, data });
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, webhookId, event, payload, now, now);
+  if (started) setImmediate(deliverDue);
+  return getDelivery(id);
+}
+
+// Queues `event` for every active endpoint subscribed to it (or to "*") in
+// the organization of `data.testimonial`.
+export function emitEvent(event, data) {
+  const hooks = db.prepare('SELECT id, events FROM webhooks WHERE active = 1 AND organization_id = ?')
+    .all(data.testimonial.organizationId);
+  for (const hook of hooks) {
+    const events = JSON.parse(hook.events);
+    if (events.includes(event) || events.includes('*')) {
+      queueDelivery(hook.id, event, data);
+    }
+  }
+}
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attempt(delivery) {
+  const hook = getWebhook(delivery.webhook_id);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  let status = null;
+  let body = null;
+  let error = null;
+
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'VideoVoice-Webhooks/1',
+        'X-VideoVoice-Event': delivery.event,
+        'X-VideoVoice-Delivery': delivery.id,
+        'X-VideoVoice-Signature': `t=${timestamp},v1=${signPayload(hook.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    status = res.status;
+    body = (await res.text().catch(() => '')).slice(0, 1000);
+    if (!res.ok) error = `Endpoint responded with HTTP ${res.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'Request timed out' : err.cause?.message || err.message;
+  }
+
+  const now = new Date();
+  if (!error) {
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = 'succeeded', attempts = ?, next_attempt_at = NULL,
+        response_status = ?, response_body = ?, error = NULL, finished_at = ? WHERE id = ?
+    `).run(attempts, status, body, now.toISOString(), delivery.id);
+    return;
+  }
+
+  // 30s, 1m, 2m, … about an hour and a half after the first try in total
+  const giveUp = attempts >= MAX_ATTEMPTS;
+  const next = giveUp ? null : new Date(now.getTime() + BASE_DELAY * 2 ** (attempts - 1)).toISOString();
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?,
+      response_status = ?, response_body = ?, error = ?, finished_at = ? WHERE id = ?
+  `).run(giveUp ? 'failed' : 'pending', attempts, next, status, body, error, giveUp ? now.toISOString() : null, delivery.id);
+  if (giveUp) {
+    console.error(`Webhook delivery ${delivery.id} to ${hook.url} failed after ${attempts} attempts: ${error}`);
+  }
+}
+
+function deliverDue() {
+  const due = db.prepare(`
+    SELECT d.* FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+    ORDER BY d.next_attempt_at LIMIT 20
+  `).all(new Date().toISOString());
+  for (const delivery of due) {
+    if (delivering.has(delivery.id)) continue;
+    delivering.add(delivery.id);
+    attempt(delivery)
+      .catch((err) => console.error(`Webhook delivery ${delivery.id} crashed:`, err))
+      .finally(() => delivering.delete(delivery.id));
+  }
+}
+
+// Called once the server is up; deliveries still pending from a previous
+// process are picked up where they left off.
+export function startWebhooks() {
+  started = true;
+  deliverDue();
+  setInterval(deliverDue, POLL_INTERVAL).unref();
+}
+
+function parseWebhook(body, existing = null) {
+  const { url, events, description, active } = body ?? {};
+  const fields = {};
+
+  if (url !== undefined || !existing) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new HttpError(400, 'url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new HttpError(400, 'url must be an absolute http(s) URL');
+    }
+    fields.url = parsed.href;
+  }
+  if (events !== undefined || !existing) {
+    if (!Array.isArray(events) || !events.length || events.some((e) => e !== '*' && !EVENTS.includes(e))) {
+      throw new HttpError(400, `events must be a non-empty list of: *, ${EVENTS.join(', ')}`);
+    }
+    fields.events = JSON.stringify([...new Set(events)]);
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw new HttpError(400, 'description must be a string');
+    }
+    fields.description = description || null;
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') throw new HttpError(400, 'active must be a boolean');
+    fields.active = active ? 1 : 0;
+  }
+  return fields;
+}
+
+// Admin routes, mounted at /api/webhooks
+const router = express.Router();
+
+// Endpoints of other organizations are answered as if they didn't exist.
+router.param('id', (req, res, next, id) => {
+  if (getWebhook(id)?.organization_id !== req.organization.id) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  next();
+});
+
+router.get('/', (req, res) => {
+  const rows = db.prepare('SELECT * FROM webhooks WHERE organization_id = ? ORDER BY created_at').all(req.organization.id);
+  res.json({ items: rows.map(webhookJson) });
+});
+
+router.post('/', (req, res) => {
+  const fields = parseWebhook(req.body);
+  const row = {
+    id: crypto.randomUUID(),
+    url: fields.url,
+    events: fields.events,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    description: fields.description ?? null,
+    active: fields.active ?? 1,
+    organization_id: req.organization.id,
+    created_at: new Date().toISOString(),
+  };
+  db.prepare(`
+    INSERT INTO webhooks (id, url, events, secret, description, active, organization_id, created_at)
+    VALUES (@id, @url, @events, @secret, @description, @active, @organization_id, @created_at)
+  `).run(row);
+  res.status(201).json(webhookJson(getWebhook(row.id)));
+});
+
+router.get('/:id', (req, res) => {
+  const row = getWebhook(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Webhook not found' });
+  res.json(webhookJson(row));
+});
+
+router.patch('/:id', (req, res) => {
+  const row = getWebhook(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Webhook not found' });
+  const fields = parseWebhook(req.body, row);
+  const columns = Object.keys(fields);
+  if (columns.length) {
+    db.prepare(`UPDATE webhooks SET ${columns.map((c) => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...fields, id: row.id });
+  }
+  res.json(webhookJson(getWebhook(row.id)));
+});
+
+router.delete('/:id', (req, res) => {
+  const { changes } = db.prepare('DELETE FROM webhooks WHERE id = ?').run(req.params.id);
+  if (!changes) return res.status(404).json({ error: 'Webhook not found' });
+  res.status(204).end();
+});
+
+// Sends a `ping` event to this endpoint only, to check it is reachable.
+router.post('/:id/ping', (req, res) => {
+  const row = getWebhook(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Webhook not found' });
+  res.status(202).json(deliveryJson(queueDelivery(row.id, 'ping', { webhookId: row.id })));
+});
+
+router.get('/:id/deliveries', (req, res) => {
+  if (!getWebhook(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+  const params = { id: req.params.id, status: req.query.status ? String(req.query.status) : null };
+  const rows = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE webhook_id = @id AND (@status IS NULL OR status = @status)
+    ORDER BY created_at DESC LIMIT 100
+  `).all(params);
+  res.json({ items: rows.map(deliveryJson) });
+});
+
+// Queues a delivery again now, whatever its outcome was.
+router.post('/:id/deliveries/:deliveryId/redeliver', (req, res) => {
+  const delivery = getDelivery(req.params.deliveryId);
+  if (!delivery || delivery.webhook_id !== req.params.id) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, finished_at = NULL
+    WHERE id = ?
+  `).run(new Date().toISOString(), delivery.id);
+  if (started) setImmediate(deliverDue);
+  res.status(202).json(deliveryJson(getDelivery(delivery.id)));
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect, useCallback } from "react";
-import { supabase, VIDEOS_BUCKET } from "./supabase";
+import { uploadResumable, loadPendingUpload, clearPendingUpload } from "./resumableUpload";
+import { prefetchChallenge } from "./challenge";
 
 const GRADIENT_BG = "linear-gradient(155deg, #0a1628 0%, #162052 20%, #3b1760 45%, #7b1a5e 70%, #c2185b 95%)";
 
@@ -13,15 +14,87 @@ const SELFIE_MODEL_URL = "https://storage.googleapis.com/mediapipe-models/image_
 const SEG_WIDTH = 256;
 const SEG_HEIGHT = 144;
 
+// Campaigns may only name these ids; keep BACKGROUND_IDS in server/campaigns.js in step.
 const BACKGROUNDS = [
   { id: "none", label: "None", type: "none", preview: "#ffffff" },
+  { id: "blur-light", label: "Light Blur", type: "blur", blurPx: 6, preview: "radial-gradient(circle, #a9b4c6 20%, #6b7890)" },
+  { id: "blur-medium", label: "Blur", type: "blur", blurPx: 12, preview: "radial-gradient(circle, #9aa6ba 10%, #58647c)" },
+  { id: "blur-strong", label: "Strong Blur", type: "blur", blurPx: 24, preview: "radial-gradient(circle, #8c98ac, #4a556b)" },
   { id: "living-room", label: "Living Room", type: "image", src: "/backgrounds/living-room.jpg", preview: "linear-gradient(135deg, #c8956a, #f0ebe0)" },
   { id: "home-office", label: "Home Office", type: "image", src: "/backgrounds/home-office.jpg", preview: "linear-gradient(135deg, #7a9ab0, #e8ecf0)" },
   { id: "library", label: "Library", type: "image", src: "/backgrounds/library.jpg", preview: "linear-gradient(135deg, #7a5c3c, #c8a050)" },
+  { id: "aurora", label: "Aurora", type: "video", src: "/backgrounds/aurora.mp4", preview: "linear-gradient(135deg, #4b3fb8, #c89af0)" },
   { id: "upload", label: "Custom", type: "upload", preview: "linear-gradient(135deg, #333, #666)" },
 ];
+// `type: "video"` entries point at a short, seamlessly looping MP4 or WebM in
+// public/backgrounds; it plays muted behind the speaker.
 
-const MAX_DURATION = 30;
+function isVideoElement(media) {
+  return media instanceof HTMLVideoElement;
+}
+
+function createBackgroundVideo(src) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = src;
+  return video;
+}
+
+// Stops a background video decoding and frees an uploaded file's blob URL.
+function releaseBackgroundMedia(media) {
+  const { src } = media;
+  if (isVideoElement(media)) {
+    media.pause();
+    media.removeAttribute("src");
+    media.load();
+  }
+  if (src.startsWith("blob:")) URL.revokeObjectURL(src);
+}
+
+// Used at the root URL; /c/<slug> loads a campaign from the server instead.
+// `backgrounds` lists the allowed BACKGROUNDS ids, or null for all of them.
+const DEFAULT_CAMPAIGN = {
+  slug: null,
+  prompt: "Why do you love\nworking here?",
+  maxDuration: 30,
+  countdown: 3,
+  backgrounds: null,
+  open: true,
+};
+
+// ─── Campaign ─────────────────────────────────────────────────
+function campaignSlugFromPath() {
+  const match = /^\/c\/([^/]+)\/?$/.exec(window.location.pathname);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function useCampaign() {
+  const [slug] = useState(campaignSlugFromPath);
+  const [state, setState] = useState(() => ({ campaign: slug ? null : DEFAULT_CAMPAIGN, error: "" }));
+
+  useEffect(() => {
+    if (!slug) return;
+    let cancelled = false;
+    fetch(`/api/public/campaigns/${encodeURIComponent(slug)}`)
+      .then((res) => {
+        if (res.status === 404) throw new Error("We couldn't find this campaign. Please check the link you were sent.");
+        if (!res.ok) throw new Error("Could not load this campaign. Please try again.");
+        return res.json();
+      })
+      .then((campaign) => {
+        if (!cancelled) setState({ campaign: { ...DEFAULT_CAMPAIGN, ...campaign }, error: "" });
+      })
+      .catch((err) => {
+        if (!cancelled) setState({ campaign: null, error: err.message });
+      });
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  return state;
+}
 
 // ─── MediaPipe Segmenter Hook ─────────────────────────────────
 function useSegmenter() {
@@ -144,6 +217,66 @@ void main() {
   fragColor = mix(bg, vid, m);
 }`;
 
+// ── Background blur ──────────────────────────────────────────────────────────
+// The blur runs at half or quarter resolution in framebuffers: a prep pass
+// weights every pixel by how surely it is background, then separable Gaussian
+// passes blur horizontally and vertically. Colours stay premultiplied by that
+// weight until the last pass divides it out, so the speaker never bleeds into
+// the blurred background.
+
+// Background weight premultiplied into the colour. The mask is dilated by a
+// texel first so the speaker's outline counts as foreground too.
+// The shared quad's v_uv runs top-down for uploaded frames, so both blur
+// shaders flip it; each framebuffer then keeps the source's orientation.
+const BLUR_PREP_SRC = `#version 300 es
+precision highp float;
+uniform sampler2D u_video;
+uniform sampler2D u_mask;
+uniform vec2 u_maskTexelSize;
+in vec2 v_uv;
+out vec4 fragColor;
+
+void main() {
+  vec2 uv = vec2(v_uv.x, 1.0 - v_uv.y);
+  float m = 0.0;
+  for (int dy = -1; dy <= 1; dy++) {
+    for (int dx = -1; dx <= 1; dx++) {
+      m = max(m, texture(u_mask, uv + vec2(float(dx), float(dy)) * u_maskTexelSize).r);
+    }
+  }
+  float w = 1.0 - smoothstep(0.2, 0.5, m);
+  fragColor = vec4(texture(u_video, uv).rgb * w, w);
+}`;
+
+const BLUR_PASS_SRC = `#version 300 es
+precision highp float;
+uniform sampler2D u_src;
+uniform vec2 u_step;      // one texel along the blur direction
+uniform float u_sigma;    // in texels
+uniform int u_resolve;    // last pass: divide out the background weight
+in vec2 v_uv;
+out vec4 fragColor;
+
+const int MAX_RADIUS = 24;
+
+void main() {
+  vec2 uv = vec2(v_uv.x, 1.0 - v_uv.y);
+  int radius = min(int(ceil(u_sigma * 3.0)), MAX_RADIUS);
+  vec4 sum = vec4(0.0);
+  float total = 0.0;
+  for (int i = -MAX_RADIUS; i <= MAX_RADIUS; i++) {
+    if (i < -radius || i > radius) continue;
+    float k = exp(-float(i * i) / (2.0 * u_sigma * u_sigma));
+    sum += texture(u_src, uv + float(i) * u_step) * k;
+    total += k;
+  }
+  sum /= total;
+  fragColor = u_resolve == 1 ? vec4(sum.rgb / max(sum.a, 1e-4), 1.0) : sum;
+}`;
+
+// Blur radii above this many pixels run at quarter resolution, the rest at half.
+const BLUR_QUARTER_RES_ABOVE = 12;
+
 function compileShader(gl, src, type) {
   const s = gl.createShader(type);
   gl.shaderSource(s, src);
@@ -154,6 +287,24 @@ function compileShader(gl, src, type) {
   return s;
 }
 
+// Every program shares the full-screen quad, with a_pos at 0 and a_uv at 1.
+function linkProgram(gl, fragSrc) {
+  const vs = compileShader(gl, VERT_SRC, gl.VERTEX_SHADER);
+  const fs = compileShader(gl, fragSrc, gl.FRAGMENT_SHADER);
+  const program = gl.createProgram();
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.bindAttribLocation(program, 0, "a_pos");
+  gl.bindAttribLocation(program, 1, "a_uv");
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("Program link error:", gl.getProgramInfoLog(program));
+  }
+  gl.deleteShader(vs);
+  gl.deleteShader(fs);
+  return program;
+}
+
 function createGLTexture(gl, filter) {
   const tex = gl.createTexture();
   gl.bindTexture(gl.TEXTURE_2D, tex);
@@ -168,17 +319,7 @@ function initWebGL(gl) {
   const hasFloatLinear = gl.getExtension("OES_texture_float_linear");
   const maskFilter = hasFloatLinear ? gl.LINEAR : gl.NEAREST;
 
-  const vs = compileShader(gl, VERT_SRC, gl.VERTEX_SHADER);
-  const fs = compileShader(gl, FRAG_SRC, gl.FRAGMENT_SHADER);
-  const program = gl.createProgram();
-  gl.attachShader(program, vs);
-  gl.attachShader(program, fs);
-  gl.linkProgram(program);
-  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    console.error("Program link error:", gl.getProgramInfoLog(program));
-  }
-  gl.deleteShader(vs);
-  gl.deleteShader(fs);
+  const program = linkProgram(gl, FRAG_SRC);
 
   const verts = new Float32Array([
     -1, -1, 0, 1,
@@ -191,12 +332,10 @@ function initWebGL(gl) {
   const buf = gl.createBuffer();
   gl.bindBuffer(gl.ARRAY_BUFFER, buf);
   gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
-  const aPos = gl.getAttribLocation(program, "a_pos");
-  const aUv = gl.getAttribLocation(program, "a_uv");
-  gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
-  gl.vertexAttribPointer(aUv, 2, gl.FLOAT, false, 16, 8);
-  gl.enableVertexAttribArray(aPos);
-  gl.enableVertexAttribArray(aUv);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 16, 0);
+  gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 16, 8);
+  gl.enableVertexAttribArray(0);
+  gl.enableVertexAttribArray(1);
   gl.bindVertexArray(null);
 
   const videoTex = createGLTexture(gl, gl.LINEAR);
@@ -222,21 +361,124 @@ function initWebGL(gl) {
   const u_maskTexelSizeLoc = gl.getUniformLocation(program, "u_maskTexelSize");
   gl.uniform2f(u_maskTexelSizeLoc, 1.0 / SEG_WIDTH, 1.0 / SEG_HEIGHT);
 
-  return { program, vao, buf, textures: { video: videoTex, mask: maskTex, rawMask: rawMaskTex, bg: bgTex }, uniforms };
+  return {
+    program, vao, buf,
+    textures: { video: videoTex, mask: maskTex, rawMask: rawMaskTex, bg: bgTex },
+    uniforms,
+    blur: initBlur(gl),
+  };
+}
+
+function initBlur(gl) {
+  const prep = linkProgram(gl, BLUR_PREP_SRC);
+  gl.useProgram(prep);
+  gl.uniform1i(gl.getUniformLocation(prep, "u_video"), 0);
+  gl.uniform1i(gl.getUniformLocation(prep, "u_mask"), 1);
+  gl.uniform2f(gl.getUniformLocation(prep, "u_maskTexelSize"), 1.0 / SEG_WIDTH, 1.0 / SEG_HEIGHT);
+
+  const pass = linkProgram(gl, BLUR_PASS_SRC);
+  gl.useProgram(pass);
+  gl.uniform1i(gl.getUniformLocation(pass, "u_src"), 4);
+
+  // Premultiplied colours lose too much in 8 bits where the weight is small.
+  const halfFloat = !!gl.getExtension("EXT_color_buffer_float");
+  const targets = [0, 1].map(() => {
+    const texture = createGLTexture(gl, gl.LINEAR);
+    const framebuffer = gl.createFramebuffer();
+    return { texture, framebuffer };
+  });
+
+  return {
+    prep,
+    pass,
+    passUniforms: {
+      u_step: gl.getUniformLocation(pass, "u_step"),
+      u_sigma: gl.getUniformLocation(pass, "u_sigma"),
+      u_resolve: gl.getUniformLocation(pass, "u_resolve"),
+    },
+    format: halfFloat
+      ? { internal: gl.RGBA16F, type: gl.HALF_FLOAT }
+      : { internal: gl.RGBA8, type: gl.UNSIGNED_BYTE },
+    targets,
+    size: { w: 0, h: 0 },
+  };
+}
+
+function resizeBlurTargets(gl, blur, w, h) {
+  if (blur.size.w === w && blur.size.h === h) return;
+  for (const { texture, framebuffer } of blur.targets) {
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, blur.format.internal, w, h, 0, gl.RGBA, blur.format.type, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  }
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  blur.size = { w, h };
+}
+
+// Blurs the background of the current video frame (unit 0) with the smoothed
+// mask (unit 1) and returns the texture holding the result. Leaves the default
+// framebuffer bound with a w × h viewport.
+function renderBlur(gl, r, w, h, blurPx) {
+  const blur = r.blur;
+  const scale = blurPx > BLUR_QUARTER_RES_ABOVE ? 4 : 2;
+  const bw = Math.max(1, Math.round(w / scale));
+  const bh = Math.max(1, Math.round(h / scale));
+  const [a, b] = blur.targets;
+
+  gl.activeTexture(gl.TEXTURE4);
+  resizeBlurTargets(gl, blur, bw, bh);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  gl.viewport(0, 0, bw, bh);
+  gl.bindVertexArray(r.vao);
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, a.framebuffer);
+  gl.useProgram(blur.prep);
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+  gl.useProgram(blur.pass);
+  gl.uniform1f(blur.passUniforms.u_sigma, blurPx / scale);
+  const passes = [
+    { src: a, dst: b, step: [1.0 / bw, 0.0], resolve: 0 },
+    { src: b, dst: a, step: [0.0, 1.0 / bh], resolve: 1 },
+  ];
+  for (const { src, dst, step, resolve } of passes) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, dst.framebuffer);
+    gl.bindTexture(gl.TEXTURE_2D, src.texture);
+    gl.uniform2f(blur.passUniforms.u_step, step[0], step[1]);
+    gl.uniform1i(blur.passUniforms.u_resolve, resolve);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.viewport(0, 0, w, h);
+  return a.texture;
+}
+
+function deleteRenderer(gl, r) {
+  gl.deleteProgram(r.program);
+  gl.deleteProgram(r.blur.prep);
+  gl.deleteProgram(r.blur.pass);
+  gl.deleteBuffer(r.buf);
+  Object.values(r.textures).forEach((t) => gl.deleteTexture(t));
+  r.blur.targets.forEach(({ texture, framebuffer }) => {
+    gl.deleteTexture(texture);
+    gl.deleteFramebuffer(framebuffer);
+  });
+  gl.deleteVertexArray(r.vao);
 }
 
 // ─── WebGL background compositing with ML segmentation ────────
-function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segmenterReady, uploadedImage, bgImagesRef) {
+function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segmenterReady, uploadedBg, bgMediaRef) {
   const selectedBgRef = useRef(selectedBg);
   const segmenterReadyRef = useRef(segmenterReady);
-  const uploadedImageRef = useRef(uploadedImage);
+  const uploadedBgRef = useRef(uploadedBg);
   selectedBgRef.current = selectedBg;
   segmenterReadyRef.current = segmenterReady;
-  uploadedImageRef.current = uploadedImage;
+  uploadedBgRef.current = uploadedBg;
 
   const rendererRef = useRef(null);
-  const blurCanvasRef = useRef(null);
-  const blurCtxRef = useRef(null);
   const animFrameRef = useRef(null);
   const lastDimsRef = useRef({ w: 0, h: 0 });
   const lastBgKeyRef = useRef(null);
@@ -257,9 +499,6 @@ function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segm
     if (!gl) { console.error("WebGL2 not supported"); return; }
     rendererRef.current = initWebGL(gl);
 
-    blurCanvasRef.current = document.createElement("canvas");
-    blurCtxRef.current = blurCanvasRef.current.getContext("2d");
-
     const segCanvas = document.createElement("canvas");
     segCanvas.width = SEG_WIDTH;
     segCanvas.height = SEG_HEIGHT;
@@ -278,7 +517,7 @@ function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segm
       const r = rendererRef.current;
       const curBg = selectedBgRef.current;
       const curReady = segmenterReadyRef.current;
-      const curUploaded = uploadedImageRef.current;
+      const curUploaded = uploadedBgRef.current;
 
       gl.activeTexture(gl.TEXTURE0);
       gl.bindTexture(gl.TEXTURE_2D, r.textures.video);
@@ -294,7 +533,9 @@ function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segm
 
       gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gl.RGBA, gl.UNSIGNED_BYTE, video);
 
-      if (curBg === "none" || !curReady || !segmenterRef.current) {
+      // Until a custom background is picked, "upload" shows the plain camera.
+      const awaitingUpload = curBg === "upload" && !curUploaded;
+      if (curBg === "none" || awaitingUpload || !curReady || !segmenterRef.current) {
         gl.useProgram(r.program);
         gl.uniform1i(r.uniforms.u_mode, 0);
         gl.bindVertexArray(r.vao);
@@ -375,28 +616,24 @@ function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segm
       }
 
       const bg = BACKGROUNDS.find((b) => b.id === curBg);
+      const bgTexture = bg?.type === "blur" ? renderBlur(gl, r, w, h, bg.blurPx) : r.textures.bg;
       gl.activeTexture(gl.TEXTURE2);
-      gl.bindTexture(gl.TEXTURE_2D, r.textures.bg);
-
-      if (bg?.type === "blur") {
-        const bw = Math.round(w / 2), bh = Math.round(h / 2);
-        const bc = blurCanvasRef.current, bctx = blurCtxRef.current;
-        if (bc.width !== bw || bc.height !== bh) { bc.width = bw; bc.height = bh; }
-        bctx.filter = `blur(${Math.max(1, Math.round(bg.blurPx / 2))}px)`;
-        bctx.drawImage(video, 0, 0, bw, bh);
-        bctx.filter = "none";
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, bc);
-        lastBgKeyRef.current = null;
-      } else if (bg?.type === "image") {
-        const img = bgImagesRef?.current?.[bg.id];
-        if (img && lastBgKeyRef.current !== bg.id) {
-          gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
-          lastBgKeyRef.current = bg.id;
+      gl.bindTexture(gl.TEXTURE_2D, bgTexture);
+
+      const media = bg?.type === "image" || bg?.type === "video"
+        ? bgMediaRef?.current?.[bg.id]
+        : bg?.type === "upload" ? curUploaded : null;
+      if (media) {
+        // Images upload once; videos again whenever they have moved on to a new frame.
+        let key = bg.type === "upload" ? "upload:" + media.src : bg.id;
+        let ready = true;
+        if (isVideoElement(media)) {
+          if (media.paused) media.play().catch(() => {});
+          ready = media.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA;
+          key += "@" + media.currentTime;
         }
-      } else if (bg?.type === "upload" && curUploaded) {
-        const key = "upload:" + curUploaded.src;
-        if (lastBgKeyRef.current !== key) {
-          gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, curUploaded);
+        if (ready && lastBgKeyRef.current !== key) {
+          gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, media);
           lastBgKeyRef.current = key;
         }
       }
@@ -413,10 +650,7 @@ function useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segm
     return () => {
       if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current);
       if (rendererRef.current && gl) {
-        gl.deleteProgram(rendererRef.current.program);
-        gl.deleteBuffer(rendererRef.current.buf);
-        Object.values(rendererRef.current.textures).forEach((t) => gl.deleteTexture(t));
-        gl.deleteVertexArray(rendererRef.current.vao);
+        deleteRenderer(gl, rendererRef.current);
         rendererRef.current = null;
       }
     };
@@ -442,7 +676,11 @@ function Logo({ onClick }) {
 
 // ─── Screens ─────────────────────────────────────────────────
 
-function WelcomeScreen({ onStart }) {
+function WelcomeScreen({ campaign, onStart }) {
+  // Campaigns carry their organization's name, logo and colours.
+  const brand = campaign.organization;
+  const brandColor = brand?.primaryColor;
+
   return (
     <div style={styles.gradientScreen} className="gradient-screen">
       <div style={styles.gradientOverlay} />
@@ -450,6 +688,7 @@ function WelcomeScreen({ onStart }) {
       {/* Nav bar */}
       <header style={styles.navBar} className="anim-fade-in">
         <Logo />
+        {brand?.logoUrl && <img src={brand.logoUrl} alt={brand.name} style={styles.orgLogo} />}
       </header>
 
       {/* Hero */}
@@ -458,11 +697,11 @@ function WelcomeScreen({ onStart }) {
         <div style={styles.heroLeft}>
 
           <h1 style={styles.welcomeHeading} className="anim-slide-up d2 welcome-heading">
-            Why do you love<br />working here?
+            {campaign.prompt}
           </h1>
 
           <p style={styles.welcomeSub} className="anim-slide-up d3">
-            Share your story in 30 seconds. Record, review, and submit — no app needed.
+            Share your story in {campaign.maxDuration} seconds. Record, review, and submit — no app needed.
           </p>
 
           <div style={styles.heroSteps} className="anim-slide-up d4">
@@ -482,7 +721,11 @@ function WelcomeScreen({ onStart }) {
           </div>
 
           <div className="anim-slide-up d5" style={{ display: "flex", justifyContent: "center", marginTop: 60 }}>
-            <button onClick={onStart} style={styles.filledBtn} className="filled-btn start-btn">
+            <button
+              onClick={onStart}
+              style={brandColor ? { ...styles.filledBtn, background: brandColor, borderColor: brandColor, boxShadow: "none" } : styles.filledBtn}
+              className="filled-btn start-btn"
+            >
               <span style={styles.startBtnDot} />
               Record Your Answer
               <svg style={{ marginLeft: 10, flexShrink: 0 }} width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -517,7 +760,11 @@ function WelcomeScreen({ onStart }) {
   );
 }
 
-function RecordScreen({ onNext, onBack }) {
+function RecordScreen({ campaign, onNext, onBack }) {
+  const { maxDuration, countdown: countdownFrom } = campaign;
+  const allowedBgs = campaign.backgrounds ? BACKGROUNDS.filter((bg) => campaign.backgrounds.includes(bg.id)) : [];
+  const backgrounds = allowedBgs.length ? allowedBgs : BACKGROUNDS;
+
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const mediaRecorderRef = useRef(null);
@@ -527,27 +774,54 @@ function RecordScreen({ onNext, onBack }) {
   const fileInputRef = useRef(null);
 
   const [phase, setPhase] = useState("setup");
-  const [countdown, setCountdown] = useState(3);
+  const [countdown, setCountdown] = useState(countdownFrom);
   const [elapsed, setElapsed] = useState(0);
-  const [selectedBg, setSelectedBg] = useState("none");
+  // A campaign that only allows "upload" starts on it, with the plain camera
+  // showing until a file is picked.
+  const [selectedBg, setSelectedBg] = useState(backgrounds.find((bg) => bg.type !== "upload")?.id ?? backgrounds[0].id);
   const [recordedBlob, setRecordedBlob] = useState(null);
   const [recordedUrl, setRecordedUrl] = useState(null);
   const [cameraReady, setCameraReady] = useState(false);
   const [cameraError, setCameraError] = useState(null);
-  const [uploadedImage, setUploadedImage] = useState(null);
+  const [uploadedBg, setUploadedBg] = useState(null);
 
-  const bgImagesRef = useRef({});
+  const bgMediaRef = useRef({});
   const { segmenterRef, segmenterReady, segmenterError } = useSegmenter();
-  useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segmenterReady, uploadedImage, bgImagesRef);
+  useBackgroundEffect(videoRef, canvasRef, selectedBg, segmenterRef, segmenterReady, uploadedBg, bgMediaRef);
+
+  useEffect(() => {
+    prefetchChallenge();
+  }, []);
 
   useEffect(() => {
     BACKGROUNDS.filter((bg) => bg.type === "image" && bg.src).forEach((bg) => {
       const img = new Image();
-      img.onload = () => { bgImagesRef.current[bg.id] = img; };
+      img.onload = () => { bgMediaRef.current[bg.id] = img; };
       img.src = bg.src;
     });
+    const videos = BACKGROUNDS.filter((bg) => bg.type === "video" && bg.src).map((bg) => {
+      const video = createBackgroundVideo(bg.src);
+      video.onloadeddata = () => { bgMediaRef.current[bg.id] = video; };
+      return video;
+    });
+    return () => videos.forEach(releaseBackgroundMedia);
   }, []);
 
+  // Releases an uploaded background when it is replaced or the screen closes.
+  useEffect(() => {
+    if (!uploadedBg) return;
+    return () => releaseBackgroundMedia(uploadedBg);
+  }, [uploadedBg]);
+
+  // The render loop starts the selected background video; pause the rest so
+  // they don't spend decode time.
+  useEffect(() => {
+    const selected = selectedBg === "upload" ? uploadedBg : bgMediaRef.current[selectedBg];
+    [uploadedBg, ...Object.values(bgMediaRef.current)]
+      .filter((media) => isVideoElement(media) && media !== selected)
+      .forEach((video) => video.pause());
+  }, [selectedBg, uploadedBg]);
+
   useEffect(() => {
     let cancelled = false;
     (async () => {
@@ -574,8 +848,12 @@ function RecordScreen({ onNext, onBack }) {
   }, []);
 
   const startCountdown = useCallback(() => {
+    if (countdownFrom <= 0) {
+      startRecording();
+      return;
+    }
     setPhase("countdown");
-    let c = 3;
+    let c = countdownFrom;
     setCountdown(c);
     const iv = setInterval(() => {
       c--;
@@ -609,9 +887,9 @@ function RecordScreen({ onNext, onBack }) {
 
     timerRef.current = setInterval(() => {
       setElapsed((prev) => {
-        if (prev + 1 >= MAX_DURATION) {
+        if (prev + 1 >= maxDuration) {
           stopRecording();
-          return MAX_DURATION;
+          return maxDuration;
         }
         return prev + 1;
       });
@@ -636,22 +914,27 @@ function RecordScreen({ onNext, onBack }) {
     }
   };
 
-  const handleImageUpload = useCallback((e) => {
+  const handleBackgroundUpload = useCallback((e) => {
     const file = e.target.files?.[0];
-    if (!file || !file.type.startsWith("image/")) return;
-    if (uploadedImage?.src?.startsWith("blob:")) {
-      URL.revokeObjectURL(uploadedImage.src);
-    }
-    const img = new Image();
-    img.onload = () => {
-      setUploadedImage(img);
+    const isVideo = file?.type.startsWith("video/");
+    if (!file || !(isVideo || file.type.startsWith("image/"))) return;
+    const src = URL.createObjectURL(file);
+    const media = isVideo ? createBackgroundVideo(src) : new Image();
+    const onReady = () => {
+      setUploadedBg(media);
       setSelectedBg("upload");
     };
-    img.src = URL.createObjectURL(file);
-  }, [uploadedImage]);
+    media.onerror = () => URL.revokeObjectURL(src);
+    if (isVideo) {
+      media.onloadeddata = onReady;
+    } else {
+      media.onload = onReady;
+      media.src = src;
+    }
+  }, []);
 
-  const progress = (elapsed / MAX_DURATION) * 100;
-  const timeLeft = MAX_DURATION - elapsed;
+  const progress = (elapsed / maxDuration) * 100;
+  const timeLeft = maxDuration - elapsed;
 
   return (
     <div style={styles.cameraScreen} className="camera-screen">
@@ -696,7 +979,7 @@ function RecordScreen({ onNext, onBack }) {
             <div style={styles.recIndicator} className="anim-slide-down">
               <span style={styles.recDot} className="rec-dot" />
               <span style={styles.recText}>REC</span>
-              <span style={styles.recTime}>{elapsed}s / {MAX_DURATION}s</span>
+              <span style={styles.recTime}>{elapsed}s / {maxDuration}s</span>
             </div>
             {/* Countdown ring top-right */}
             <div style={styles.recRing} className="anim-fade-in">
@@ -705,7 +988,7 @@ function RecordScreen({ onNext, onBack }) {
                 <circle cx="22" cy="22" r="18" fill="none"
                   stroke={timeLeft <= 10 ? "#e53935" : "#fff"} strokeWidth="3.5"
                   strokeDasharray={`${2 * Math.PI * 18}`}
-                  strokeDashoffset={`${2 * Math.PI * 18 * (elapsed / MAX_DURATION)}`}
+                  strokeDashoffset={`${2 * Math.PI * 18 * (elapsed / maxDuration)}`}
                   strokeLinecap="round"
                   style={{ transition: "stroke-dashoffset 1s linear, stroke 0.3s" }}
                 />
@@ -762,7 +1045,7 @@ function RecordScreen({ onNext, onBack }) {
               )}
             </p>
             <div style={styles.bgThumbs} className="bg-thumbs">
-              {BACKGROUNDS.map((bg) => (
+              {backgrounds.map((bg) => (
                 <button
                   key={bg.id}
                   onClick={() => {
@@ -774,8 +1057,8 @@ function RecordScreen({ onNext, onBack }) {
                   }}
                   style={{
                     ...styles.bgThumb,
-                    background: bg.id === "upload" && uploadedImage
-                      ? `url(${uploadedImage.src}) center/cover`
+                    background: bg.id === "upload" && uploadedBg && !isVideoElement(uploadedBg)
+                      ? `url(${uploadedBg.src}) center/cover`
                       : bg.type === "image" && bg.src
                       ? `url(${bg.src}) center/cover`
                       : bg.preview,
@@ -784,12 +1067,19 @@ function RecordScreen({ onNext, onBack }) {
                   className="bg-thumb"
                   title={bg.label}
                 >
+                  {(bg.type === "video" || (bg.type === "upload" && isVideoElement(uploadedBg))) && (
+                    <video
+                      src={bg.type === "video" ? bg.src : uploadedBg.src}
+                      style={styles.bgThumbVideo}
+                      muted loop autoPlay playsInline
+                    />
+                  )}
                   {bg.type === "none" && (
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="rgba(255,255,255,0.5)" strokeWidth="2.5" strokeLinecap="round">
                       <line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" />
                     </svg>
                   )}
-                  {bg.type === "upload" && !uploadedImage && (
+                  {bg.type === "upload" && !uploadedBg && (
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="rgba(255,255,255,0.6)" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                       <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
                     </svg>
@@ -801,8 +1091,8 @@ function RecordScreen({ onNext, onBack }) {
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
-              onChange={handleImageUpload}
+              accept="image/*,video/mp4,video/webm"
+              onChange={handleBackgroundUpload}
               style={{ display: "none" }}
             />
           </div>
@@ -852,7 +1142,7 @@ function RecordScreen({ onNext, onBack }) {
         {/* Hint */}
         {phase === "setup" && cameraReady && (
           <p style={styles.hint} className="anim-fade-in d5">
-            Tap to start · max {MAX_DURATION} seconds
+            Tap to start · max {maxDuration} seconds
           </p>
         )}
       </div>
@@ -860,6 +1150,139 @@ function RecordScreen({ onNext, onBack }) {
   );
 }
 
+function ConsentScreen({ initial, onNext, onBack, onHome, error: serverError }) {
+  const [release, setRelease] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [scopes, setScopes] = useState(initial?.scopes ?? []);
+  const [signature, setSignature] = useState(initial?.signature ?? "");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/consent")
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => { if (!cancelled) setRelease(data); })
+      .catch(() => { if (!cancelled) setLoadError("Couldn't load the video release. Please check your connection and try again."); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const toggleScope = (id) => {
+    setScopes((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+    if (error) setError("");
+  };
+
+  const handleSubmit = () => {
+    if (release.scopes.some((s) => s.required && !scopes.includes(s.id))) {
+      setError("Please tick every box to agree to the release");
+      return;
+    }
+    if (signature.trim().length < 2) {
+      setError("Type your full name to sign the release");
+      return;
+    }
+    setError("");
+    onNext({ version: release.version, scopes, signature: signature.trim() });
+  };
+
+  return (
+    <div style={styles.gradientScreen} className="gradient-screen">
+      <div style={styles.gradientOverlay} />
+
+      {/* Nav */}
+      <div style={styles.pageHead} className="anim-fade-in">
+        <Logo onClick={onHome} />
+      </div>
+
+      {/* Content */}
+      <div style={styles.centerSection}>
+        <div style={{ ...styles.emailCard, ...styles.consentCard }} className="anim-slide-up d2">
+          <h2 style={styles.emailHeading} className="anim-slide-up d2">
+            {release?.title || "Video release"}
+          </h2>
+          <p style={styles.emailSub} className="anim-slide-up d3">
+            Before we can use your video, please read and agree to how we'll share it.
+          </p>
+
+          {!release && !loadError && (
+            <p style={styles.consentLoading}>Loading…</p>
+          )}
+
+          {release && (
+            <>
+              <div style={styles.consentText} className="anim-slide-up d3">{release.text}</div>
+
+              <div style={styles.consentScopes} className="anim-slide-up d3">
+                {release.scopes.map((scope) => (
+                  <label key={scope.id} style={styles.consentScope}>
+                    <input
+                      type="checkbox"
+                      checked={scopes.includes(scope.id)}
+                      onChange={() => toggleScope(scope.id)}
+                      style={styles.consentCheckbox}
+                    />
+                    <span>{scope.label}</span>
+                  </label>
+                ))}
+              </div>
+
+              <div style={styles.inputWrap} className="anim-slide-up d4">
+                <label style={styles.inputLabel} htmlFor="signature-input">Type your full name to sign</label>
+                <input
+                  id="signature-input"
+                  type="text"
+                  value={signature}
+                  onChange={(e) => { setSignature(e.target.value); if (error) setError(""); }}
+                  onKeyDown={(e) => e.key === "Enter" && handleSubmit()}
+                  placeholder="Jane Doe"
+                  style={{ ...styles.underlineInput, ...styles.signatureInput }}
+                  className="email-input"
+                  autoComplete="name"
+                />
+              </div>
+            </>
+          )}
+
+          {/* Error */}
+          {(loadError || error || serverError) && (
+            <div style={styles.errorBox} className="anim-slide-up">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" style={{ flexShrink: 0 }}>
+                <circle cx="12" cy="12" r="10" /><line x1="12" y1="8" x2="12" y2="12" /><line x1="12" y1="16" x2="12.01" y2="16" />
+              </svg>
+              {loadError || error || serverError}
+            </div>
+          )}
+
+          {/* Submit */}
+          <button
+            onClick={handleSubmit}
+            disabled={!release}
+            style={{ ...styles.filledBtn, ...styles.filledBtnFull, opacity: release ? 1 : 0.4 }}
+            className="filled-btn anim-slide-up d4"
+          >
+            I Agree
+            <svg style={{ marginLeft: 8 }} width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="5" y1="12" x2="19" y2="12" /><polyline points="12 5 19 12 12 19" />
+            </svg>
+          </button>
+
+          {/* Back */}
+          <button onClick={onBack} style={styles.ghostBtn} className="outline-btn anim-slide-up d5">
+            <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" style={{ marginRight: 6 }}>
+              <polyline points="15 18 9 12 15 6" />
+            </svg>
+            Go back
+          </button>
+        </div>
+      </div>
+
+      <div style={{ flexShrink: 0, height: 32 }} />
+    </div>
+  );
+}
+
 function EmailScreen({ onNext, onBack, onHome, error: serverError }) {
   const [email, setEmail] = useState("");
   const [error, setError] = useState("");
@@ -1026,7 +1449,7 @@ function SuccessScreen({ onReset }) {
 
         <h2 style={styles.successTitle} className="anim-slide-up d2">Thank you!</h2>
         <p style={styles.successSubtext} className="anim-slide-up d3">
-          Your video has been submitted successfully.<br />Our team will review it shortly.
+          Your video has been submitted successfully.<br />Check your inbox and confirm your email so our team can review it.
         </p>
 
         <div style={{ marginTop: 32 }} className="anim-slide-up d4">
@@ -1044,79 +1467,107 @@ function SuccessScreen({ onReset }) {
   );
 }
 
+// Shown instead of the welcome screen while a campaign loads, or when its
+// link is wrong or it isn't open.
+function CampaignStatusScreen({ campaign, error }) {
+  let title = "Loading…";
+  let text = "";
+  if (error) {
+    title = "Link not found";
+    text = error;
+  } else if (campaign) {
+    const opensLater = campaign.opensAt && new Date(campaign.opensAt) > new Date();
+    title = opensLater ? "Not open yet" : "This campaign has closed";
+    text = opensLater
+      ? `We'll start accepting videos on ${new Date(campaign.opensAt).toLocaleDateString()}.`
+      : "We're no longer accepting videos for it. Thank you for your interest!";
+  }
+
+  return (
+    <div style={styles.gradientScreen} className="gradient-screen">
+      <div style={styles.gradientOverlay} />
+
+      <header style={styles.navBar} className="anim-fade-in">
+        <Logo />
+      </header>
+
+      <div style={{ ...styles.centerSection, textAlign: "center" }}>
+        <h2 style={styles.uploadTitle} className="anim-slide-up d2">{title}</h2>
+        {text && <p style={styles.uploadText} className="anim-slide-up d3">{text}</p>}
+      </div>
+
+      <div style={{ flexShrink: 0, height: 48 }} />
+    </div>
+  );
+}
+
 // ─── App ─────────────────────────────────────────────────────
 
 export default function App() {
+  const { campaign, error: campaignError } = useCampaign();
   const [screen, setScreen] = useState("welcome");
   const [recordedBlob, setRecordedBlob] = useState(null);
+  const [consent, setConsent] = useState(null);
+  const [consentError, setConsentError] = useState("");
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadError, setUploadError] = useState("");
 
   const handleVideoReady = (blob) => {
+    clearPendingUpload();
     setRecordedBlob(blob);
+    setScreen("consent");
+  };
+
+  const handleConsent = (consentValue) => {
+    setConsent(consentValue);
+    setConsentError("");
     setScreen("email");
   };
 
   const handleEmail = (emailValue) => {
     setScreen("uploading");
-    uploadVideo(recordedBlob, emailValue);
+    uploadVideo(recordedBlob, { email: emailValue, consent, campaign: campaign.slug || undefined });
   };
 
-  const uploadVideo = async (blob, emailValue) => {
+  const uploadVideo = async (blob, fields) => {
     setUploadProgress(0);
     setUploadError("");
 
-    // Simulated progress while waiting for real upload events
-    let sim = 0;
-    const simInterval = setInterval(() => {
-      sim = Math.min(sim + Math.random() * 5, 80);
-      setUploadProgress(sim);
-    }, 350);
-
     try {
-      const filename = `testimonial-${Date.now()}-${Math.round(Math.random() * 1e9)}.webm`;
-
-      // Upload video to Supabase Storage
-      const { error: storageError } = await supabase.storage
-        .from(VIDEOS_BUCKET)
-        .upload(filename, blob, {
-          contentType: "video/webm",
-          upsert: false,
-          onUploadProgress: (progress) => {
-            clearInterval(simInterval);
-            setUploadProgress((progress.loaded / progress.total) * 85);
-          },
-        });
-
-      if (storageError) throw storageError;
-
-      clearInterval(simInterval);
-      setUploadProgress(90);
-
-      // Build public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from(VIDEOS_BUCKET)
-        .getPublicUrl(filename);
-
-      // Save metadata to the testimonials table
-      const { error: dbError } = await supabase
-        .from("testimonials")
-        .insert({ email: emailValue, filename, video_url: publicUrl });
-
-      if (dbError) throw dbError;
-
+      await uploadResumable(blob, fields, (fraction) => setUploadProgress(fraction * 95));
       setUploadProgress(100);
       setTimeout(() => setScreen("success"), 400);
     } catch (err) {
-      clearInterval(simInterval);
+      // The release changed while they were recording; have them re-read it.
+      if (err.code === "consent_outdated") {
+        setConsent(null);
+        setConsentError(err.message);
+        setScreen("consent");
+        return;
+      }
       setUploadError(err.message || "Upload failed. Please try again.");
       setScreen("email");
     }
   };
 
+  // Resume an upload interrupted by a reload or closed tab
+  useEffect(() => {
+    let cancelled = false;
+    loadPendingUpload().then((pending) => {
+      if (cancelled || !pending) return;
+      setRecordedBlob(pending.blob);
+      setConsent(pending.fields.consent);
+      setScreen("uploading");
+      uploadVideo(pending.blob, pending.fields);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
   const handleReset = () => {
     setScreen("welcome");
     setRecordedBlob(null);
+    setConsent(null);
+    setConsentError("");
     setUploadProgress(0);
     setUploadError("");
   };
@@ -1124,9 +1575,12 @@ export default function App() {
   return (
     <div style={styles.app}>
       <link href="https://fonts.googleapis.com/css2?family=DM+Sans:ital,opsz,wght@0,9..40,300;0,9..40,400;0,9..40,500;0,9..40,600;0,9..40,700;1,9..40,400&family=Space+Mono:wght@700&display=swap" rel="stylesheet" />
-      {screen === "welcome" && <WelcomeScreen onStart={() => setScreen("record")} />}
-      {screen === "record" && <RecordScreen onNext={handleVideoReady} onBack={() => setScreen("welcome")} />}
-      {screen === "email" && <EmailScreen onNext={handleEmail} onBack={() => setScreen("record")} onHome={() => setScreen("welcome")} error={uploadError} />}
+      {screen === "welcome" && (campaign?.open
+        ? <WelcomeScreen campaign={campaign} onStart={() => setScreen("record")} />
+        : <CampaignStatusScreen campaign={campaign} error={campaignError} />)}
+      {screen === "record" && <RecordScreen campaign={campaign} onNext={handleVideoReady} onBack={() => setScreen("welcome")} />}
+      {screen === "consent" && <ConsentScreen initial={consent} onNext={handleConsent} onBack={() => setScreen("record")} onHome={() => setScreen("welcome")} error={consentError} />}
+      {screen === "email" && <EmailScreen onNext={handleEmail} onBack={() => setScreen("consent")} onHome={() => setScreen("welcome")} error={uploadError} />}
       {screen === "uploading" && <UploadingScreen progress={uploadProgress} />}
       {screen === "success" && <SuccessScreen onReset={handleReset} />}
     </div>
@@ -1178,6 +1632,11 @@ const styles = {
     zIndex: 10,
     flexShrink: 0,
   },
+  orgLogo: {
+    height: 32,
+    maxWidth: 160,
+    objectFit: "contain",
+  },
   navBack: {
     display: "inline-flex", alignItems: "center", justifyContent: "center",
     width: 34, height: 34, borderRadius: 9, padding: 0, flexShrink: 0,
@@ -1254,6 +1713,7 @@ const styles = {
     fontSize: 48, fontWeight: 700, lineHeight: 1.15,
     letterSpacing: "-0.01em", margin: "0 0 20px",
     textShadow: "0 2px 24px rgba(0,0,0,0.25)",
+    whiteSpace: "pre-line",
   },
   welcomeSub: {
     fontSize: 17, color: "rgba(255,255,255,0.55)",
@@ -1529,6 +1989,12 @@ const styles = {
     boxShadow: "0 0 0 3px rgba(255,255,255,0.18)",
     transform: "scale(1.06)",
   },
+  bgThumbVideo: {
+    position: "absolute", inset: 0,
+    width: "100%", height: "100%",
+    objectFit: "cover", borderRadius: 6,
+    pointerEvents: "none",
+  },
   bgThumbLabel: {
     fontSize: 8, color: "rgba(255,255,255,0.55)",
     letterSpacing: "0.05em", textTransform: "uppercase",
@@ -1693,6 +2159,44 @@ const styles = {
     lineHeight: 1.4, marginBottom: 8,
   },
 
+  // ── Consent screen
+  consentCard: {
+    maxWidth: 560,
+  },
+  consentLoading: {
+    fontSize: 14, color: "rgba(255,255,255,0.4)",
+    margin: "0 0 20px",
+  },
+  consentText: {
+    maxHeight: 180, overflowY: "auto",
+    padding: "14px 16px", marginBottom: 18,
+    background: "rgba(0,0,0,0.2)",
+    border: "1px solid rgba(255,255,255,0.1)",
+    borderRadius: 10,
+    fontSize: 13, lineHeight: 1.6,
+    color: "rgba(255,255,255,0.7)",
+    whiteSpace: "pre-wrap",
+  },
+  consentScopes: {
+    display: "flex", flexDirection: "column", gap: 10,
+    marginBottom: 20,
+  },
+  consentScope: {
+    display: "flex", alignItems: "flex-start", gap: 10,
+    fontSize: 14, lineHeight: 1.45,
+    color: "rgba(255,255,255,0.85)",
+    cursor: "pointer",
+  },
+  consentCheckbox: {
+    width: 17, height: 17, margin: "1px 0 0",
+    accentColor: "#c2185b", flexShrink: 0,
+    cursor: "pointer",
+  },
+  signatureInput: {
+    fontFamily: "'DM Sans', sans-serif",
+    fontStyle: "italic",
+  },
+
   // ── Upload screen
   progressRingWrap: {
     position: "relative",
@@ -0,0 +1,57 @@
+// Upload challenge from the server (see server/challenge.js). It is fetched
+// and, for proof-of-work, solved while the visitor is still recording, so it
+// is normally ready by the time the upload starts.
+
+const CHALLENGE_ENDPOINT = "/api/challenge";
+
+let pending = null;
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+async function solve(salt, difficulty) {
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce++) {
+    const hash = await crypto.subtle.digest("SHA-256", encoder.encode(`${salt}:${nonce}`));
+    if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) return nonce;
+  }
+}
+
+async function fetchAndSolve() {
+  const res = await fetch(CHALLENGE_ENDPOINT, { cache: "no-store" });
+  if (!res.ok) throw new Error("Could not prepare the upload. Please try again.");
+  const challenge = await res.json();
+  if (!challenge.required) return {};
+
+  const headers = { "X-Challenge": challenge.token };
+  if (challenge.difficulty > 0) {
+    headers["X-Challenge-Solution"] = String(await solve(challenge.salt, challenge.difficulty));
+  }
+  return headers;
+}
+
+// Starts fetching a challenge in the background if none is on its way.
+export function prefetchChallenge() {
+  if (!pending) {
+    pending = fetchAndSolve();
+    pending.catch(() => { pending = null; });
+  }
+}
+
+// Resolves to the headers that answer a challenge. Each answer is single-use,
+// so the next call fetches a fresh one.
+export function takeChallengeHeaders() {
+  prefetchChallenge();
+  const headers = pending;
+  pending = null;
+  return headers;
+}
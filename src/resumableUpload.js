@@ -0,0 +1,204 @@
+// Client for the server's resumable upload protocol (see server/resumable.js).
+// The recording, its upload id and the upload token the server signed for it
+// are kept in IndexedDB until the upload is finalized, so a dropped
+// connection or a page reload picks up from the last byte the server
+// acknowledged.
+
+import { takeChallengeHeaders } from "./challenge";
+
+const UPLOADS_ENDPOINT = "/api/uploads";
+const CHUNK_SIZE = 2 * 1024 * 1024;
+const MAX_RETRIES = 8;
+
+const DB_NAME = "videovoice";
+const STORE = "pendingUpload";
+const PENDING_KEY = "current";
+
+class UploadError extends Error {
+  constructor(message, { fatal = false, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.fatal = fatal;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// ─── IndexedDB persistence ────────────────────────────────────
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function loadPendingUpload() {
+  try {
+    return (await withStore("readonly", (s) => s.get(PENDING_KEY))) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function savePendingUpload(pending) {
+  try {
+    await withStore("readwrite", (s) => s.put(pending, PENDING_KEY));
+  } catch (err) {
+    // Private browsing can refuse IndexedDB; the upload still resumes
+    // across network drops, just not across reloads.
+    console.warn("Could not persist pending upload:", err);
+  }
+}
+
+export async function clearPendingUpload() {
+  try {
+    await withStore("readwrite", (s) => s.delete(PENDING_KEY));
+  } catch { /* nothing persisted */ }
+}
+
+// ─── Protocol ─────────────────────────────────────────────────
+
+// A short Retry-After on a 429 (e.g. the server is busy) is worth waiting
+// out; a long one means the visitor has hit an upload limit.
+async function errorFrom(res, fallback) {
+  const body = await res.json().catch(() => ({}));
+  const retryAfter = res.status === 429 ? Number(res.headers.get("Retry-After")) || null : null;
+  const retryable = res.status === 409 ? !body.code : res.status === 429 && retryAfter !== null && retryAfter <= 60;
+  return new UploadError(body.error || fallback, {
+    fatal: res.status >= 400 && res.status < 500 && !retryable,
+    code: body.code,
+    retryAfter,
+  });
+}
+
+// Resolves to the session, or to { result } when the server already has this
+// recording under `idempotencyKey`.
+async function createUpload(blob, fields, idempotencyKey) {
+  const res = await fetch(UPLOADS_ENDPOINT, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Idempotency-Key": idempotencyKey,
+      ...(await takeChallengeHeaders()),
+    },
+    body: JSON.stringify({
+      ...fields,
+      size: blob.size,
+      mimeType: blob.type || "video/webm",
+    }),
+  });
+  if (!res.ok) throw await errorFrom(res, "Could not start upload");
+  const body = await res.json();
+  if (res.status === 200) return { result: body };
+  return { id: body.id, token: body.token };
+}
+
+// Returns the server's offset, or null when the session no longer exists or
+// its token has expired.
+async function fetchOffset({ id, token }) {
+  const res = await fetch(`${UPLOADS_ENDPOINT}/${id}`, {
+    method: "HEAD",
+    cache: "no-store",
+    headers: { "Upload-Token": token },
+  });
+  if (res.status === 404 || res.status === 403) return null;
+  if (!res.ok) throw new UploadError("Could not query upload offset");
+  return Number(res.headers.get("Upload-Offset"));
+}
+
+async function sendChunk({ id, token }, blob, offset) {
+  const res = await fetch(`${UPLOADS_ENDPOINT}/${id}`, {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/offset+octet-stream",
+      "Upload-Offset": String(offset),
+      "Upload-Token": token,
+    },
+    body: blob.slice(offset, offset + CHUNK_SIZE),
+  });
+  if (!res.ok) throw await errorFrom(res, "Chunk upload failed");
+  return Number(res.headers.get("Upload-Offset"));
+}
+
+async function completeUpload({ id, token }) {
+  const res = await fetch(`${UPLOADS_ENDPOINT}/${id}/complete`, {
+    method: "POST",
+    headers: { "Upload-Token": token },
+  });
+  if (!res.ok) throw await errorFrom(res, "Could not finalize upload");
+  return res.json();
+}
+
+function waitForRetry(attempt, retryAfter) {
+  const delay = retryAfter ? retryAfter * 1000 : Math.min(1000 * 2 ** attempt, 15000);
+  return new Promise((resolve) => {
+    if (navigator.onLine) {
+      setTimeout(resolve, delay);
+    } else {
+      window.addEventListener("online", resolve, { once: true });
+    }
+  });
+}
+
+// Uploads `blob` with the submission `fields` ({ email, consent }), reusing a
+// persisted session for the same recording when there is one. The recording
+// keeps one idempotency key across retries, so submitting it again after the
+// server has stored it returns the existing testimonial. `onProgress`
+// receives a fraction in [0, 1].
+export async function uploadResumable(blob, fields, onProgress) {
+  const pending = await loadPendingUpload();
+  const sameRecording = pending && pending.fields.email === fields.email && pending.size === blob.size;
+  const idempotencyKey = (sameRecording && pending.idempotencyKey) || crypto.randomUUID();
+  let session = null;
+  let offset = null;
+
+  if (sameRecording && pending.token) {
+    session = { id: pending.id, token: pending.token };
+    offset = await fetchOffset(session).catch(() => null);
+  }
+  if (offset === null) {
+    session = await createUpload(blob, fields, idempotencyKey);
+    if (session.result) {
+      await clearPendingUpload();
+      return session.result;
+    }
+    offset = 0;
+    await savePendingUpload({ ...session, idempotencyKey, fields, size: blob.size, blob });
+  }
+  onProgress?.(offset / blob.size);
+
+  let attempt = 0;
+  while (offset < blob.size) {
+    try {
+      offset = await sendChunk(session, blob, offset);
+      attempt = 0;
+      onProgress?.(offset / blob.size);
+    } catch (err) {
+      if (err.fatal || attempt >= MAX_RETRIES) throw err;
+      await waitForRetry(attempt++, err.retryAfter);
+      const serverOffset = await fetchOffset(session).catch(() => undefined);
+      if (serverOffset === null) throw new UploadError("Upload session expired. Please try again.", { fatal: true });
+      if (serverOffset !== undefined) offset = serverOffset;
+    }
+  }
+
+  const result = await completeUpload(session);
+  await clearPendingUpload();
+  return result;
+}
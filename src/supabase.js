@@ -1,15 +0,0 @@
-import { createClient } from "@supabase/supabase-js";
-
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error(
-    "Missing Supabase credentials. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in .env.local"
-  );
-}
-
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
-
-// Storage bucket — create this bucket in your Supabase dashboard
-export const VIDEOS_BUCKET = "video_recording";